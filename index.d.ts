@@ -0,0 +1,523 @@
+// Type definitions for reducer-redux
+
+export = match
+
+// Creates a Matcher from a condition. The Matcher's reducer is the identity until with() is called.
+declare function match<S = any, Args extends any[] = any[]>(condition: match.Condition<S, Args>): match.Matcher<S, Args>
+
+declare namespace match {
+  // A reducer: returns a state, given a state and some other arguments (usually, the action).
+  type Reducer<S, Args extends any[] = any[]> = (state: S, ...args: Args) => S
+
+  // A predicate used as the condition of a Matcher.
+  type Condition<S = any, Args extends any[] = any[]> = (state: S, ...args: Args) => any
+
+  // Any Matcher whose state is S, including Matchers of other kinds. Used for the arguments of
+  // functions that only accept Matchers.
+  interface AnyMatcher<S> {
+    (state: S, ...args: any[]): S
+    with(...args: any[]): unknown
+  }
+
+  // A Matcher whose condition and reducer take a state S and arguments Args.
+  interface Matcher<S, Args extends any[] = any[]> {
+    (state: S, ...args: Args): S
+
+    // Returns a Matcher with the same condition and a new reducer.
+    with<T extends S = S>(reducer: Reducer<T, Args>): Matcher<T, Args>
+  }
+
+  // A Matcher whose condition only tests the action, so it can be used with any state until it has
+  // a reducer.
+  interface ActionMatcher<A> {
+    <S>(state: S, action: A, ...rest: any[]): S
+    with<S>(reducer: Reducer<S, [A, ...any[]]>): Matcher<S, [A, ...any[]]>
+  }
+
+  // A Matcher created by match.withDefault(): the state may be undefined. with() keeps the default.
+  interface DefaultMatcher<S, Args extends any[] = any[]> {
+    (state: S | undefined, ...args: Args): S
+    with<T extends S = S>(reducer: Reducer<T, Args>): DefaultMatcher<T, Args>
+  }
+
+  // A Matcher created by match.redux() before with() is called.
+  interface UnboundReduxMatcher<A> {
+    <S>(state: S, action: A, ...rest: any[]): S
+    with<S>(...reducers: Array<Reducer<S, [A, ...any[]]>>): ReduxMatcher<S, A>
+  }
+
+  // A Matcher created by match.redux(): with() combines its reducers (which may be Matchers) with
+  // match.first().
+  interface ReduxMatcher<S, A> {
+    (state: S, action: A, ...rest: any[]): S
+    with(...reducers: Array<Reducer<S, [A, ...any[]]>>): ReduxMatcher<S, A>
+  }
+
+  // Any redux-style action.
+  interface Action {
+    [key: string]: any
+  }
+
+  // An object whose leaves are predicates, for match.shape().
+  interface ShapeSpec {
+    [key: string]: ((value: any) => any) | ShapeSpec
+  }
+
+  // An action type, or a pattern for action types: an array of patterns, a RegExp, or a string with
+  // wildcards ("*" matches any characters other than "/", and "**" any characters).
+  type TypePattern = string | symbol | RegExp | ReadonlyArray<string | symbol | RegExp>
+
+  // The action types that match a pattern
+  type PatternType<T> = T extends ReadonlyArray<infer E>
+    ? PatternType<E>
+    : T extends RegExp
+      ? string
+      : T extends `${string}*${string}` ? string : T
+
+  // A match.shape() spec for actions: the type can also be a pattern.
+  type ActionShapeSpec<C> = {
+    [K in keyof C]: K extends 'type' ? TypePattern | ((value: any) => any) : ((value: any) => any) | ShapeSpec
+  }
+
+  // The type of value that passes a match.shape() spec: type guards narrow their properties.
+  type Shaped<C> = C extends (value: any) => value is infer T
+    ? T
+    : C extends (value: any) => any
+      ? any
+      : { [K in keyof C]: K extends 'type' ? ShapedType<C[K]> : Shaped<C[K]> } & Action
+  type ShapedType<C> = C extends (value: any) => any ? Shaped<C> : PatternType<C>
+
+  // The type of action that matches a match.object() spec.
+  type PlainAction<P> = (P extends { type: infer T } ? Omit<P, 'type'> & { type: PatternType<T> } : P) & Action
+
+  // The actions tested by a condition created by match.actionCondition().
+  type ShapeAction<C> = C extends (action: infer A) => any ? A : Shaped<C>
+
+  // The read-only context that match.combine() passes to its Matchers after the action
+  interface Context<R = any, P = any> {
+    readonly root: R
+    readonly parent: P
+  }
+
+  // A condition for match.any(), match.every() and match.not()
+  type Combinable<Args extends any[]> = ((...args: Args) => any) | { [key: string]: any }
+
+  // A predicate created by match.actionCondition() or match.plainActionCondition().
+  type ActionCondition<A> = (state: any, action: A, ...rest: any[]) => boolean
+
+  type Path = ReadonlyArray<string | number | symbol>
+
+  // A Ramda lens
+  type Lens = (toFunctorFn: (value: any) => any) => (target: any) => any
+
+  // The description of a Matcher returned by match.inspect()
+  interface Description {
+    kind: string
+    matcher: AnyMatcher<any>
+    condition: Condition
+    reducer: Reducer<any>
+    children: Description[]
+    [property: string]: any
+  }
+
+  // An event emitted by a Matcher created by match.trace()
+  interface TraceEvent {
+    type: 'condition' | 'reducer'
+    path: number[]
+    kind: string
+    matcher: AnyMatcher<any>
+    args: any[]
+    condition?: Condition
+    result?: any
+    reducer?: Reducer<any>
+    before?: any
+    after?: any
+  }
+
+  interface ValidateOptions {
+    enabled?: boolean
+    onError?: (error: ValidationError) => void
+  }
+
+  interface ValidationError extends Error {
+    path: Array<string | number>
+    state: any
+    action: any
+  }
+
+  // An action creator created by match.slice()
+  interface ActionCreator<T extends string, P> {
+    (...payload: undefined extends P ? [P?] : [P]): { type: T, payload: P }
+    type: T
+  }
+
+  type PayloadOf<H> = H extends (state: any, action: infer A, ...rest: any[]) => any
+    ? A extends { payload: infer P } ? P : undefined
+    : any
+
+  interface Slice<S, N extends string, H> {
+    name: N
+    types: { [K in keyof H & string]: `${N}/${K}` }
+    actions: { [K in keyof H & string]: ActionCreator<`${N}/${K}`, PayloadOf<H[K]>> }
+    reducer: DefaultMatcher<S, [Action, ...any[]]>
+  }
+
+  interface AsyncState<D = any, E = any> {
+    status: 'idle' | 'pending' | 'fulfilled' | 'rejected'
+    data: D | undefined
+    error: E | undefined
+    requestId: any
+  }
+
+  interface AsyncHandlers<S> {
+    pending?: Reducer<S, [Action, ...any[]]>
+    fulfilled?: Reducer<S, [Action, ...any[]]>
+    rejected?: Reducer<S, [Action, ...any[]]>
+  }
+
+  interface AsyncMatcher<S> {
+    (state: S | undefined, action: Action, ...rest: any[]): S
+    with(handlers: AsyncHandlers<S>): AsyncMatcher<S>
+  }
+
+  // The state of a Matcher created by match.history()
+  interface History<S> {
+    past: S[]
+    present: S
+    future: S[]
+  }
+
+  interface HistoryTypes {
+    undoType: any
+    redoType: any
+    clearType: any
+  }
+
+  interface HistoryOptions<S> extends Partial<HistoryTypes> {
+    limit?: number
+    filter?: (action: Action, present: S, previous: S) => any
+    groupBy?: (action: Action, present: S, previous: S) => any
+  }
+
+  interface HistoryMatcher<S> {
+    (state: History<S> | undefined, action: Action, ...rest: any[]): History<S>
+    with(matcher: Reducer<S, [Action, ...any[]]>): HistoryMatcher<S>
+  }
+
+  // The state of a Matcher created by match.machine(): the name of the current state and the context
+  interface MachineState<V extends string, C> {
+    value: V
+    context: C
+  }
+
+  // A transition of a state machine: the target state (by default, the current state), a guard
+  // for the context and the action, and a reducer that updates the context
+  interface Transition<V extends string, C> {
+    target?: V
+    guard?: Condition<C, [Action, ...any[]]> | { [key: string]: any }
+    with?: Reducer<C, [Action, ...any[]]>
+  }
+
+  interface MachineConfig<V extends string, C> {
+    initial: NoInfer<V>
+    context?: C
+    states: { [K in V]: { on?: { [type: string]: NoInfer<V> | Transition<NoInfer<V>, C> | Array<Transition<NoInfer<V>, C>> } } }
+    onInvalid?: 'ignore' | 'throw' | Reducer<MachineState<V, C>, [Action, ...any[]]>
+  }
+
+  interface MachineMatcher<V extends string, C> {
+    (state: MachineState<V, C> | undefined, action: Action, ...rest: any[]): MachineState<V, C>
+    with(config: Partial<MachineConfig<V, C>>): MachineMatcher<V, C>
+  }
+
+  interface MemoOptions {
+    size?: number
+    equals?: (action: any, cachedAction: any) => boolean
+  }
+
+  // The number of times the cached results of a function were used (hits) and computed (misses)
+  interface MemoStats {
+    hits: number
+    misses: number
+  }
+
+  // A step of a replay: an action and the state after it
+  interface ReplayStep<S> {
+    index: number
+    action: Action
+    state: S
+    changed: boolean
+    handledBy: { path: number[], matcher: AnyMatcher<any>, reducer: (state: any, ...args: any[]) => any } | undefined
+  }
+
+  // The replay of some actions returned by match.replay()
+  interface Replay<S> extends Iterable<ReplayStep<S>> {
+    length: number
+    stateAt(index: number): S
+    step(index: number): ReplayStep<S>
+    // The step of the first action whose state fails the predicate. Tests the state after every
+    // action, so states that pass again after failing don't hide the first failure.
+    bisect(predicate: ((state: S) => any) | { [key: string]: any }): ReplayStep<S> | undefined
+  }
+
+  // A JSON value
+  type Json = null | boolean | number | string | Json[] | { [key: string]: Json }
+
+  // An operation in a spec: its name, the path of the part of the state it changes, and its own
+  // arguments
+  interface Operation {
+    op: string
+    path?: Array<string | number>
+    [argument: string]: Json | undefined
+  }
+
+  // A JSON description of a Matcher, for match.fromSpec()
+  interface Spec {
+    default?: Json
+    cases: Array<{ when: { [key: string]: Json }, do: Operation | Operation[] }>
+  }
+
+  // Returns the reducer of an operation in a spec
+  type OperationFactory = (operation: Operation) => Reducer<any, [Action, ...any[]]>
+
+  interface Kinds {
+    PLAIN: 'plain'
+    FIRST: 'first'
+    ALL: 'all'
+    ALWAYS: 'always'
+    REDUX: 'redux'
+    WITH_DEFAULT: 'withDefault'
+    AT: 'at'
+    EACH: 'each'
+    WHERE: 'where'
+    VALIDATE: 'validate'
+    COMBINE: 'combine'
+    MEMO: 'memo'
+  }
+
+  // Thrown when a function is called with invalid arguments
+  interface PreconditionError extends TypeError {
+    api: string | undefined
+    index: number | undefined
+    received: string | undefined
+  }
+
+  // Thrown when an argument that should be a Matcher (or a reducer) isn't
+  interface MatcherTypeError extends PreconditionError {}
+
+  // Thrown when an argument that should be a condition isn't
+  interface ConditionTypeError extends PreconditionError {}
+
+  // Thrown when the spec passed to match.fromSpec is invalid
+  interface SpecError extends PreconditionError {
+    path: Array<string | number>
+  }
+
+  interface ErrorConstructor<E> {
+    new (message: string, details?: { api?: string, index?: number, value?: any }): E
+    prototype: E
+  }
+
+  interface Match {
+    // Uses the reducer of the first Matcher whose condition is true.
+    first<S>(...matchers: [AnyMatcher<S>, ...Array<AnyMatcher<S>>]): Matcher<S>
+
+    // Passes the state through the reducer of every Matcher whose condition is true.
+    all<S>(...matchers: [AnyMatcher<S>, ...Array<AnyMatcher<S>>]): Matcher<S>
+
+    // A Matcher that always calls the reducer.
+    always<S = any, Args extends any[] = any[]>(reducer: Reducer<S, Args>): Matcher<S, Args>
+
+    // Returns the default value if the state is undefined.
+    withDefault<D>(defaultValue: D): <S, Args extends any[] = any[]>(
+      matcher: Reducer<S, Args> & ([D] extends [S] ? unknown : { 'the default value must be a state': never })
+    ) => DefaultMatcher<S, Args>
+
+    // Creates a predicate that is true if the predicates in the object's leaves are true.
+    shape<F extends (value: any) => any>(spec: F): F
+    shape<C extends ShapeSpec>(spec: C): (value: any) => value is Shaped<C>
+
+    // Creates a predicate that deeply matches the object against its argument.
+    object<F extends (value: any) => any>(spec: F): F
+    object<const P extends object>(spec: P): (value: any) => value is PlainAction<P>
+
+    // Create conditions that are true if any or every one of the conditions is true, or if the
+    // condition is false. Object conditions test the first argument: their leaves are predicates or
+    // values that must be equal.
+    any<Args extends any[] = any[]>(...conditions: [Combinable<Args>, ...Array<Combinable<Args>>]): (...args: Args) => boolean
+    every<Args extends any[] = any[]>(...conditions: [Combinable<Args>, ...Array<Combinable<Args>>]): (...args: Args) => boolean
+    not<Args extends any[] = any[]>(condition: Combinable<Args>): (...args: Args) => boolean
+
+    // Creates a condition that tests the action with match.shape().
+    actionCondition<A>(condition: (action: any) => action is A): ActionCondition<A>
+    actionCondition<const C extends (object & ActionShapeSpec<C>) | ((action: any) => any)>(condition: C): ActionCondition<ShapeAction<C>>
+
+    // Creates a condition that tests the action with match.object().
+    plainActionCondition<F extends (action: any) => any>(condition: F): ActionCondition<ShapeAction<F>>
+    plainActionCondition<const P extends object>(condition: P): ActionCondition<PlainAction<P>>
+
+    // Creates a condition that tests the context passed by match.combine() with match.shape().
+    contextCondition(condition: ShapeSpec | ((context: Context) => any)): (state: any, action: any, context?: any, ...rest: any[]) => boolean
+
+    // Creates a Matcher whose condition matches the action against a plain object.
+    plainAction<F extends (action: any) => any>(condition: F): ActionMatcher<ShapeAction<F>>
+    plainAction<const P extends object>(condition: P): ActionMatcher<PlainAction<P>>
+
+    // Creates a Matcher whose condition tests the action with match.shape(), and whose with()
+    // combines reducers with match.first().
+    redux<A>(condition: (action: any) => action is A): UnboundReduxMatcher<A>
+    redux<const C extends (object & ActionShapeSpec<C>) | ((action: any) => any)>(condition: C): UnboundReduxMatcher<ShapeAction<C>>
+
+    // Scopes a Matcher to part of the state.
+    at(path: Path | Lens): <S = any>(matcher: Reducer<any>) => Matcher<S>
+
+    // Applies a Matcher to every element of an array or object.
+    each<E, A = any>(matcher: (element: E, action: A, key: any, ...rest: any[]) => E): {
+      <C extends E[] | { [key: string]: E }>(collection: C, action: A, ...rest: any[]): C
+      with: Matcher<any>['with']
+    }
+
+    // Applies a Matcher to the elements of an array or object selected by a predicate or an id.
+    where<E = any, A = any>(selector: ((element: E, action: A, key: any, ...rest: any[]) => any) | string | number):
+      (matcher: (element: E, action: A, key: any, ...rest: any[]) => E) => {
+        <C extends E[] | { [key: string]: E }>(collection: C, action: A, ...rest: any[]): C
+        with: Matcher<any>['with']
+      }
+
+    // Returns a Matcher for an object, whose properties are reduced by the Matchers with their keys.
+    combine<M extends { [key: string]: (state: any, ...args: any[]) => any }>(matchers: M):
+      DefaultMatcher<{ [K in keyof M]: ReturnType<M[K]> }>
+
+    // Validates the state returned by a Matcher against a match.shape()-style schema.
+    validate(schema: ShapeSpec | ((state: any) => any), options?: ValidateOptions):
+      <S, Args extends any[] = any[]>(matcher: Reducer<S, Args>) => Matcher<S, Args>
+
+    // Describes a Matcher.
+    inspect(matcher: AnyMatcher<any>): Description
+
+    // True if a value is a Matcher.
+    isMatcher(value: any): value is AnyMatcher<any>
+
+    // Returns a copy of a Matcher whose action conditions also require the action's meta.namespace.
+    namespaced: {
+      <M extends AnyMatcher<any>>(namespace: any, matcher: M): M
+
+      // Wraps an action creator to add a namespace to the meta property of its actions.
+      actionCreator<F extends (...args: any[]) => Action>(namespace: any, actionCreator: F): F
+    }
+
+    // Returns a copy of a Matcher that reports the conditions it tests and the reducers it calls.
+    trace<M extends AnyMatcher<any>>(matcher: M, options: { onEvent: (event: TraceEvent) => void }): M
+
+    // Defines a new kind of Matcher with its own with().
+    extend(kind: {
+      name: string
+      combineWith: (args: any[], description: Description) => Reducer<any>
+    }): <S = any>(
+      condition: Condition<S>,
+      reducer?: Reducer<S>,
+      properties?: { [property: string]: any }
+    ) => AnyMatcher<S>
+
+    // Builds a reducer, action types and action creators for a slice of the state.
+    slice<S, const N extends string, H extends { [key: string]: Reducer<S, [any, ...any[]]> }>(options: {
+      name: N
+      initialState: S
+      handlers: H
+    }): Slice<S, N, H>
+
+    // Creates a Matcher that tracks the status, data and error of an async request.
+    async: {
+      <S extends AsyncState = AsyncState>(baseType: string, handlers?: AsyncHandlers<S>): AsyncMatcher<S>
+      initialState: AsyncState
+    }
+
+    // Wraps a Matcher to keep the past and future of its state, for undo and redo.
+    history: {
+      <S>(matcher: Reducer<S, [Action, ...any[]]>, options?: HistoryOptions<S>): HistoryMatcher<S>
+      types: HistoryTypes
+    }
+
+    // Caches the results of a Matcher's condition and reducer for each state and action.
+    memo: {
+      <M extends (state: any, ...args: any[]) => any>(matcher: M, options?: MemoOptions): M
+      stats(matcher: AnyMatcher<any>): { condition: MemoStats, reducer: MemoStats }
+    }
+
+    // Returns a copy of a Matcher with one of its descendants replaced.
+    replace<M extends AnyMatcher<any>>(
+      matcher: M,
+      path: ReadonlyArray<string | number>,
+      replacement: (state: any, ...args: any[]) => any
+    ): M
+
+    // Replays some actions through a Matcher, step by step.
+    replay<S>(
+      matcher: (state: S, action: Action, ...rest: any[]) => S,
+      actions: readonly Action[],
+      options?: { initialState?: S, checkpointInterval?: number }
+    ): Replay<S>
+
+    // Creates a Matcher for a finite state machine.
+    machine<V extends string, C = undefined>(config: MachineConfig<V, C>): MachineMatcher<V, C>
+
+    // Builds a Matcher from a JSON spec.
+    fromSpec: {
+      <S = any>(spec: Spec, options?: { operations?: { [name: string]: OperationFactory } }): DefaultMatcher<S, [Action, ...any[]]>
+      operations: { readonly [name: string]: OperationFactory }
+    }
+
+    // Returns the spec of a Matcher built by match.fromSpec().
+    toSpec(matcher: AnyMatcher<any>): Spec
+
+    kinds: Kinds
+
+    PreconditionError: ErrorConstructor<PreconditionError>
+    MatcherTypeError: ErrorConstructor<MatcherTypeError>
+    ConditionTypeError: ErrorConstructor<ConditionTypeError>
+    SpecError: {
+      new (message: string, details?: { api?: string, path?: Array<string | number>, value?: any }): SpecError
+      prototype: SpecError
+    }
+  }
+
+  // match's properties, which are also the named exports of the ES module build
+  const first: Match['first']
+  const all: Match['all']
+  const always: Match['always']
+  const withDefault: Match['withDefault']
+  const shape: Match['shape']
+  const object: Match['object']
+  const actionCondition: Match['actionCondition']
+  const plainActionCondition: Match['plainActionCondition']
+  const plainAction: Match['plainAction']
+  const any: Match['any']
+  const every: Match['every']
+  const not: Match['not']
+  const contextCondition: Match['contextCondition']
+  const redux: Match['redux']
+  const at: Match['at']
+  const each: Match['each']
+  const where: Match['where']
+  const combine: Match['combine']
+  const validate: Match['validate']
+  const inspect: Match['inspect']
+  const isMatcher: Match['isMatcher']
+  const trace: Match['trace']
+  const namespaced: Match['namespaced']
+  const extend: Match['extend']
+  const slice: Match['slice']
+  const async: Match['async']
+  const history: Match['history']
+  const memo: Match['memo']
+  const replace: Match['replace']
+  const replay: Match['replay']
+  const machine: Match['machine']
+  const fromSpec: Match['fromSpec']
+  const toSpec: Match['toSpec']
+  const kinds: Kinds
+  const PreconditionError: Match['PreconditionError']
+  const MatcherTypeError: Match['MatcherTypeError']
+  const ConditionTypeError: Match['ConditionTypeError']
+  const SpecError: Match['SpecError']
+}
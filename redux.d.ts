@@ -0,0 +1,41 @@
+// Type definitions for reducer-redux/redux
+
+import { Action, Reducer as ReduxReducer, Store, StoreEnhancer } from 'redux'
+
+// A reducer whose state may be undefined, like redux's reducers
+type RootMatcher<S> = (state: S | undefined, action: Action, ...rest: any[]) => S
+
+export interface MatcherStoreExtension<S> {
+  // Returns the current root Matcher
+  getMatcher(): RootMatcher<S>
+
+  // Replaces a Matcher in the tree with match.replace(), keeping the state
+  replaceMatcher(path: ReadonlyArray<string | number>, matcher: (state: any, ...args: any[]) => any): void
+
+  // Replaces the root Matcher
+  replaceReducer(matcher: RootMatcher<S>): void
+}
+
+export type MatcherStore<S> = Omit<Store<S>, 'replaceReducer'> & MatcherStoreExtension<S>
+
+export interface MatcherEnhancerOptions<S> {
+  onUnhandled?: (action: Action, state: S) => void
+}
+
+export interface MatcherStoreOptions<S> extends MatcherEnhancerOptions<S> {
+  preloadedState?: S
+  devTools?: boolean | { [option: string]: any }
+}
+
+// The action shown in the Redux DevTools for an action, with the branch that handled it
+export function actionSanitizer<A extends Action>(action: A): A & { handledBy?: string, unhandled?: true }
+
+// A store enhancer for stores whose reducer is a Matcher
+export function matcherEnhancer<S = any>(options?: MatcherEnhancerOptions<S>): StoreEnhancer<MatcherStoreExtension<S>>
+
+// Creates a redux store whose reducer is a Matcher
+export function createMatcherStore<S>(
+  rootMatcher: RootMatcher<S> | ReduxReducer<S>,
+  enhancers?: StoreEnhancer[],
+  options?: MatcherStoreOptions<S>
+): MatcherStore<S>
@@ -0,0 +1,92 @@
+const match = require('./reducer')
+const util = require('./util')
+const { preconditionsFor, mustArgument } = util
+const { MatcherTypeError } = require('./errors')
+
+// The state of an async Matcher before any actions
+const initialState = {
+  status: 'idle',
+  data: undefined,
+  error: undefined,
+  requestId: undefined
+}
+
+const getRequestId = action => util.path([ 'meta', 'requestId' ], action)
+
+// Default handlers for each phase of the request
+const DEFAULT_HANDLERS = {
+  pending: state => util.merge(state, { status: 'pending', error: undefined }),
+  fulfilled: (state, action) => util.merge(state, { status: 'fulfilled', data: action.payload, error: undefined }),
+  rejected: (state, action) => util.merge(state, { status: 'rejected', error: action.payload })
+}
+
+// True unless both the state and the action have a request id and the ids are different
+const isCurrentRequest = (state, action) => {
+  const ids = [ util.path([ 'requestId' ], state), getRequestId(action) ]
+  return ids.some(util.isNil) || util.equals(ids[0], ids[1])
+}
+
+const isHandlers = util.both(
+  util.isPlainObject,
+  handlers => Object.keys(DEFAULT_HANDLERS).every(key => !util.has(key, handlers) || util.isFunction(handlers[key]))
+)
+
+// Creates the reducer of an async Matcher from some handlers
+const createReducer = (baseType, handlers) => {
+  const { pending, fulfilled, rejected } = util.merge(DEFAULT_HANDLERS, handlers)
+  const reducer = match.withDefault(initialState)(match.first(
+    // The id of the latest request is always recorded, even by custom handlers
+    match.plainAction({ type: `${baseType}_PENDING` })
+      .with((state, action) => util.merge(pending(state, action), { requestId: getRequestId(action) })),
+    match.plainAction({ type: `${baseType}_FULFILLED` })
+      .with(match(isCurrentRequest).with(fulfilled)),
+    match.plainAction({ type: `${baseType}_REJECTED` })
+      .with(match(isCurrentRequest).with(rejected))
+  ))
+
+  return reducer
+}
+
+// Creates an async Matcher. Its properties keep the handlers, and the namespaces of copies made by
+// match.namespaced, so with() can recreate the reducer from them.
+const createMatcher = (baseType, handlers, namespaces = []) => AsyncMatcher(
+  util.alwaysTrue,
+  namespaces.reduce((reducer, namespace) => match.namespaced(namespace, reducer), createReducer(baseType, handlers)),
+  { baseType, handlers, namespaces }
+)
+
+// Async Matchers' with() returns an async Matcher with some of the handlers replaced
+const AsyncMatcher = match.extend({
+  name: 'async',
+  combineWith: preconditionsFor('match.async().with')
+    (mustArgument(
+      0,
+      ([ handlers ]) => isHandlers(handlers),
+      'handlers must be an object of functions or Matchers',
+      MatcherTypeError
+    ))
+    (([ handlers ], description) => createMatcher(
+      description.baseType,
+      util.merge(description.handlers, handlers),
+      description.namespaces
+    ))
+})
+
+// Creates a Matcher for the actions of an async request: <baseType>_PENDING, <baseType>_FULFILLED
+// and <baseType>_REJECTED. The state records the request's status, the payload of the fulfilled
+// action as its data and the payload of the rejected action as its error. Responses with a
+// meta.requestId are ignored unless it's the id of the latest pending action.
+// Any of the phases' handlers can be replaced, either in the options or with with().
+module.exports = preconditionsFor('match.async')
+  (
+    mustArgument(0, util.isType('string'), 'base type must be a string'),
+    mustArgument(
+      1,
+      util.either(util.isUndefined, isHandlers),
+      'handlers must be an object of functions or Matchers',
+      MatcherTypeError
+    )
+  )
+  ((baseType, handlers = {}) => createMatcher(baseType, handlers))
+
+module.exports.initialState = initialState
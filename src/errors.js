@@ -0,0 +1,66 @@
+const toString = require('./toString')
+
+// The longest summary of a received value in an error message
+const MAX_SUMMARY_LENGTH = 50
+
+// Returns a short, printable summary of a value for error messages
+const summarize = value => {
+  if (typeof value === 'function') {
+    return `[function${value.name ? ` ${value.name}` : ''}]`
+  }
+
+  const summary = toString(value)
+  return summary.length > MAX_SUMMARY_LENGTH
+    ? `${summary.slice(0, MAX_SUMMARY_LENGTH - 1)}…`
+    : summary
+}
+module.exports.summarize = summarize
+
+// Thrown when a function is called with invalid arguments. Has the name of the api that was
+// called, the index of the invalid argument (if a single argument is invalid) and a summary of
+// the argument that was received.
+class PreconditionError extends TypeError {
+  constructor (message, { api, index, value } = {}) {
+    const hasIndex = index !== undefined && index !== null
+    super(
+      `${api ? `${api}: ` : ''}${message}` +
+      (hasIndex ? ` (argument ${index} was ${summarize(value)})` : '')
+    )
+
+    this.api = api
+    this.index = index
+    this.received = hasIndex ? summarize(value) : undefined
+  }
+}
+// The names are literals, since bundlers may rename the classes
+PreconditionError.prototype.name = 'PreconditionError'
+module.exports.PreconditionError = PreconditionError
+
+// Thrown when an argument that should be a Matcher (or a reducer) isn't
+class MatcherTypeError extends PreconditionError {}
+MatcherTypeError.prototype.name = 'MatcherTypeError'
+module.exports.MatcherTypeError = MatcherTypeError
+
+// Thrown when an argument that should be a condition isn't
+class ConditionTypeError extends PreconditionError {}
+ConditionTypeError.prototype.name = 'ConditionTypeError'
+module.exports.ConditionTypeError = ConditionTypeError
+
+// Formats a path into a spec, e.g. spec.cases[0].do
+const formatSpecPath = path => path.reduce(
+  (formatted, key) => typeof key === 'number' ? `${formatted}[${key}]` : `${formatted}.${key}`,
+  'spec'
+)
+
+// Thrown when the spec passed to match.fromSpec is invalid. Has the path to the invalid part of
+// the spec and a summary of it.
+class SpecError extends PreconditionError {
+  constructor (message, { api, path = [], value } = {}) {
+    super(`${message} at ${formatSpecPath(path)} (received ${summarize(value)})`, { api })
+
+    this.path = path
+    this.received = summarize(value)
+  }
+}
+SpecError.prototype.name = 'SpecError'
+module.exports.SpecError = SpecError
@@ -0,0 +1,190 @@
+const match = require('./reducer')
+const util = require('./util')
+const { preconditionsFor, mustArgument } = util
+const { SpecError } = require('./errors')
+
+// The specs that built each Matcher, for match.toSpec()
+const specs = new WeakMap()
+
+const specError = (message, path, value) => new SpecError(message, { api: 'match.fromSpec', path, value })
+
+const isKey = key => util.isNonEmptyString(key) || (Number.isInteger(key) && key >= 0)
+const isPath = path => Array.isArray(path) && path.every(isKey)
+
+// Returns the path of the first value in a spec that JSON can't represent, or undefined
+const findNonJsonPath = (value, path = []) => {
+  if (util.isNil(value) || typeof value === 'string' || typeof value === 'boolean') {
+    return value === undefined ? path : undefined
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? undefined : path
+  }
+  if (!Array.isArray(value) && !util.isPlainObject(value)) {
+    return path
+  }
+
+  for (const key of Object.keys(value)) {
+    const found = findNonJsonPath(value[key], path.concat([ Array.isArray(value) ? Number(key) : key ]))
+    if (found) {
+      return found
+    }
+  }
+  return undefined
+}
+
+// Returns a function that gets an operation's value from the action: the value at the "from"
+// path of the action, or the "value" itself
+const valueOf = operation => {
+  if (util.has('from', operation)) {
+    if (!isPath(operation.from)) {
+      throw new Error('from must be an array of keys')
+    }
+    return (state, action) => util.path(operation.from, action)
+  }
+  if (util.has('value', operation)) {
+    return () => operation.value
+  }
+  throw new Error(`${operation.op} needs a value or a from path`)
+}
+
+// The built-in operations. Each one is called with the operation from the spec and returns a
+// reducer for the part of the state at the operation's path.
+const OPERATIONS = Object.freeze({
+  // Replaces the state with the value
+  set: operation => valueOf(operation),
+
+  // Adds "by" (1 by default) to the state
+  increment: ({ by = 1 }) => {
+    if (!Number.isFinite(by)) {
+      throw new Error('by must be a number')
+    }
+    return state => state + by
+  },
+
+  // Appends the value to the state, an array
+  append: operation => {
+    const getValue = valueOf(operation)
+    return (state, action) => (util.isNil(state) ? [] : state).concat([ getValue(state, action) ])
+  },
+
+  // Negates the state
+  toggle: () => state => !state
+})
+
+const SPEC_KEYS = [ 'default', 'cases' ]
+const CASE_KEYS = [ 'when', 'do' ]
+
+// Throws a SpecError for the first key of an object that isn't one of the keys
+const checkKeys = (keys, object, path) => {
+  const unknown = Object.keys(object).find(key => !keys.includes(key))
+  if (!util.isUndefined(unknown)) {
+    throw specError(`unknown key ${unknown} (expected one of ${keys.join(', ')})`, path.concat([ unknown ]), object[unknown])
+  }
+}
+
+// Compiles an operation to a Matcher that calls the operation's reducer with the part of the state
+// at its path
+const compileOperation = (operations, operation, path) => {
+  if (!util.isPlainObject(operation)) {
+    throw specError('operation must be an object', path, operation)
+  }
+  if (!util.has(operation.op, operations)) {
+    throw specError(
+      `unknown operation (expected one of ${Object.keys(operations).join(', ')})`,
+      path.concat([ 'op' ]),
+      operation.op
+    )
+  }
+  if (util.has('path', operation) && !isPath(operation.path)) {
+    throw specError('path must be an array of keys', path.concat([ 'path' ]), operation.path)
+  }
+
+  let reducer
+  try {
+    reducer = operations[operation.op](operation)
+  } catch (error) {
+    throw specError(error.message, path, operation)
+  }
+  if (!util.isFunction(reducer)) {
+    throw specError(`operation ${operation.op} must return a function or Matcher`, path, operation)
+  }
+
+  return util.isNil(operation.path) || operation.path.length === 0
+    ? match.always(reducer)
+    : match.at(operation.path)(reducer)
+}
+
+// Compiles a case to a match.plainAction Matcher for its "when" condition, which applies its
+// operations in order
+const compileCase = (operations, spec, path) => {
+  if (!util.isPlainObject(spec)) {
+    throw specError('case must be an object', path, spec)
+  }
+  checkKeys(CASE_KEYS, spec, path)
+  if (!util.isPlainObject(spec.when)) {
+    throw specError('when must be an object', path.concat([ 'when' ]), spec.when)
+  }
+
+  const doPath = path.concat([ 'do' ])
+  const matchers = Array.isArray(spec.do)
+    ? spec.do.map((operation, index) => compileOperation(operations, operation, doPath.concat([ index ])))
+    : [ compileOperation(operations, spec.do, doPath) ]
+  if (matchers.length === 0) {
+    throw specError('do must not be empty', doPath, spec.do)
+  }
+
+  return match.plainAction(spec.when).with(matchers.length === 1 ? matchers[0] : match.all(...matchers))
+}
+
+const compile = (spec, operations) => {
+  const path = findNonJsonPath(spec)
+  if (path) {
+    throw specError('spec must only contain JSON values', path, util.path(path, spec))
+  }
+  if (!util.isPlainObject(spec)) {
+    throw specError('spec must be an object', [], spec)
+  }
+  checkKeys(SPEC_KEYS, spec, [])
+  if (!Array.isArray(spec.cases) || spec.cases.length === 0) {
+    throw specError('cases must be a non-empty array', [ 'cases' ], spec.cases)
+  }
+
+  const matcher = match.first(...spec.cases.map((caseSpec, index) => compileCase(operations, caseSpec, [ 'cases', index ])))
+  return util.has('default', spec) ? match.withDefault(spec.default)(matcher) : matcher
+}
+
+// Builds a Matcher from a spec, a JSON description of it:
+//    default: the default state (optional)
+//    cases: an array of { when, do } objects, in the order match.first tries them. "when" is a
+//      match.plainAction condition; "do" is an operation, or an array of operations to apply in
+//      order. An operation is an object with
+//        op: the name of the operation: set, increment, append, toggle or a custom operation
+//        path: the path of the part of the state it changes (the whole state by default)
+//      and the operation's own arguments.
+// The options' operations are custom operations, by name. Each one is called with the operation
+// from the spec and returns a reducer (or Matcher); errors it throws point to the operation.
+// Throws a SpecError with the path to the invalid part of an invalid spec.
+const fromSpec = preconditionsFor('match.fromSpec')
+  (mustArgument(
+    1,
+    util.either(util.isUndefined, util.both(util.isPlainObject, util.propSatisfies(
+      util.either(util.isUndefined, util.both(util.isPlainObject, operations => Object.values(operations).every(util.isFunction))),
+      'operations'
+    ))),
+    'options must be an object with an object of operation functions'
+  ))
+  ((spec, { operations = {} } = {}) => {
+    const matcher = compile(spec, util.merge(OPERATIONS, operations))
+    specs.set(matcher, util.clone(spec))
+    return matcher
+  })
+
+// The built-in operations, by name
+fromSpec.operations = OPERATIONS
+
+module.exports.fromSpec = fromSpec
+
+// Returns the spec of a Matcher built by match.fromSpec(), a copy that can be serialized as JSON
+module.exports.toSpec = preconditionsFor('match.toSpec')
+  (mustArgument(0, matcher => specs.has(matcher), 'argument must be a Matcher built by match.fromSpec'))
+  (matcher => util.clone(specs.get(matcher)))
@@ -0,0 +1,42 @@
+const match = require('./reducer')
+const util = require('./util')
+
+// Converts reducers that aren't Matchers to Matchers with match.always
+const toMatcher = reducer => match.isMatcher(reducer) ? reducer : match.always(reducer)
+
+const pathKey = path => path.join('.')
+
+// The paths of the match.first Matchers in a described Matcher tree, including the ones that
+// match.redux() Matchers use for their reducers
+const getFirstPaths = (description, path = []) => [].concat(
+  description.kind === match.kinds.FIRST ? [ pathKey(path) ] : [],
+  ...description.children.map((child, index) => getFirstPaths(child, path.concat([ index ])))
+)
+
+// Returns a reducer that calls a traced copy of a Matcher (or reducer) and returns
+// { state, handledBy }, where handledBy is the { path, matcher, reducer } of the branch of a
+// match.first or match.redux Matcher that reduced the action (the innermost, if several did), or
+// undefined. The path is the same as match.inspect()'s children, and the reducer is the one passed
+// to with(). The paths of reducers that aren't Matchers are those of toMatcher().
+const traceHandlers = reducer => {
+  const matcher = toMatcher(reducer)
+  const firstPaths = new Set(getFirstPaths(match.inspect(matcher)))
+
+  // The first branch whose reducer returns is the innermost one
+  let handledBy
+  const traced = match.trace(matcher, {
+    onEvent: ({ type, path, matcher, reducer }) => {
+      if (type === 'reducer' && util.isUndefined(handledBy) && path.length > 0 &&
+          firstPaths.has(pathKey(path.slice(0, -1)))) {
+        handledBy = { path, matcher, reducer }
+      }
+    }
+  })
+
+  return (state, ...rest) => {
+    handledBy = undefined
+    return { state: traced(state, ...rest), handledBy }
+  }
+}
+
+module.exports = { traceHandlers, toMatcher }
@@ -0,0 +1,116 @@
+const match = require('./reducer')
+const util = require('./util')
+const { preconditionsFor, mustArgument } = util
+const { MatcherTypeError } = require('./errors')
+
+// The action types that undo, redo and clear the history, unless they're set in the options
+const DEFAULT_TYPES = {
+  undoType: '@@history/UNDO',
+  redoType: '@@history/REDO',
+  clearType: '@@history/CLEAR'
+}
+
+// The group of the change that created each history state, so the next change in the same group
+// can replace it. Kept out of the state so the state is only { past, present, future }.
+const groups = new WeakMap()
+
+const withGroup = (group, state) => {
+  util.isUndefined(group) || groups.set(state, group)
+  return state
+}
+
+const isLimit = limit => limit === Infinity || (Number.isInteger(limit) && limit > 0)
+
+const isOptions = util.both(
+  util.isPlainObject,
+  util.allPass([
+    util.propSatisfies(util.either(util.isUndefined, isLimit), 'limit'),
+    util.propSatisfies(util.either(util.isUndefined, util.isFunction), 'filter'),
+    util.propSatisfies(util.either(util.isUndefined, util.isFunction), 'groupBy')
+  ])
+)
+
+// Moves the last state of one stack into the present, and the present onto the other stack
+const undo = ({ past, present, future }) => past.length === 0
+  ? undefined
+  : { past: past.slice(0, -1), present: past[past.length - 1], future: [ present ].concat(future) }
+const redo = ({ past, present, future }) => future.length === 0
+  ? undefined
+  : { past: past.concat([ present ]), present: future[0], future: future.slice(1) }
+
+// Creates the reducer of a history Matcher, which reduces the present with the matcher and
+// handles the undo, redo and clear actions itself
+const createReducer = (matcher, options) => {
+  const { limit = Infinity, filter = util.alwaysTrue, groupBy = () => undefined } = options
+  const { undoType, redoType, clearType } = util.merge(DEFAULT_TYPES, options)
+
+  return (state, action, ...rest) => {
+    if (util.isUndefined(state)) {
+      return { past: [], present: matcher(undefined, action, ...rest), future: [] }
+    }
+
+    const type = util.isNil(action) ? undefined : action.type
+    if (type === undoType || type === redoType) {
+      const moved = (type === undoType ? undo : redo)(state)
+      return util.isUndefined(moved) ? state : moved
+    }
+    if (type === clearType) {
+      return state.past.length === 0 && state.future.length === 0
+        ? state
+        : { past: [], present: state.present, future: [] }
+    }
+
+    const { past, present } = state
+    const next = matcher(present, action, ...rest)
+    if (next === present) {
+      return state
+    }
+    if (!filter(action, next, present)) {
+      return util.merge(state, { present: next })
+    }
+
+    const group = groupBy(action, next, present)
+    if (!util.isUndefined(group) && groups.get(state) === group) {
+      return withGroup(group, { past, present: next, future: [] })
+    }
+    const nextPast = past.concat([ present ])
+    return withGroup(group, { past: nextPast.slice(Math.max(nextPast.length - limit, 0)), present: next, future: [] })
+  }
+}
+
+// History Matchers' with() returns a history Matcher for another Matcher, with the same options
+const HistoryMatcher = match.extend({
+  name: 'history',
+  combineWith: preconditionsFor('match.history().with')
+    (mustArgument(0, ([ matcher ]) => util.isFunction(matcher), 'argument must be a function or Matcher', MatcherTypeError))
+    (([ matcher ], { options }) => createReducer(matcher, options))
+})
+
+// Wraps a Matcher (or reducer) to keep the history of its state: the state of the new Matcher is
+// { past, present, future }, where present is the state of the Matcher. The options are
+//    limit: the number of past states to keep (by default, all of them)
+//    undoType, redoType, clearType: the types of the actions that move the present to the last
+//      past or first future state, and that clear the past and future
+//    filter: called with the action and the new and previous present. Changes it returns false
+//      for update the present without being recorded in the past.
+//    groupBy: called like filter, returns the group of a change. Consecutive changes in the same
+//      group (other than undefined) are undone as one step.
+// Only actions that return a new present (by reference) are recorded, and each one clears the
+// future. If the state is undefined, the present is the Matcher's state for an undefined state,
+// so a Matcher with match.withDefault() sets the initial present.
+module.exports = preconditionsFor('match.history')
+  (
+    mustArgument(0, util.isFunction, 'argument must be a function or Matcher', MatcherTypeError),
+    mustArgument(
+      1,
+      util.either(util.isUndefined, isOptions),
+      'options must be an object with a positive integer limit and filter and groupBy functions'
+    )
+  )
+  ((matcher, options = {}) => HistoryMatcher(
+    util.alwaysTrue,
+    createReducer(matcher, options),
+    { options, children: match.isMatcher(matcher) ? [ matcher ] : [] }
+  ))
+
+module.exports.types = DEFAULT_TYPES
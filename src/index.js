@@ -0,0 +1,24 @@
+// The package's entry point: the core Matchers from reducer.js, and the builders that use them.
+// Each of match's properties is also a named export of the ES module build.
+const match = require('./reducer')
+
+// Builds a reducer, action types and action creators for a slice of the state
+match.slice = require('./slice')
+
+// Creates a Matcher that tracks the status, data and error of an async request
+match.async = require('./async')
+
+// Wraps a Matcher to keep the past and future of its state, for undo and redo
+match.history = require('./history')
+
+// Creates a Matcher for a finite state machine with explicit states and transitions
+match.machine = require('./machine')
+
+// Replays recorded actions through a Matcher, step by step, for debugging
+match.replay = require('./replay')
+
+// Builds a Matcher from a JSON spec, and returns the spec of a Matcher built from one
+match.fromSpec = require('./fromSpec').fromSpec
+match.toSpec = require('./fromSpec').toSpec
+
+module.exports = match
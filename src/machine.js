@@ -0,0 +1,147 @@
+const match = require('./reducer')
+const util = require('./util')
+const { preconditionsFor, mustArgument } = util
+
+// The ways to handle actions that aren't valid in the current state, other than a function
+const ON_INVALID = [ 'ignore', 'throw' ]
+
+const isGuard = x => util.isFunction(x) || util.isPlainObject(x)
+
+const isTransition = util.either(
+  util.isType('string'),
+  util.both(
+    util.isPlainObject,
+    util.allPass([
+      util.propSatisfies(util.either(util.isUndefined, util.isType('string')), 'target'),
+      util.propSatisfies(util.either(util.isUndefined, isGuard), 'guard'),
+      util.propSatisfies(util.either(util.isUndefined, util.isFunction), 'with')
+    ])
+  )
+)
+
+// Each transition is a target state, a transition object, or a non-empty array of them
+const isTransitions = util.either(
+  isTransition,
+  transitions => Array.isArray(transitions) && transitions.length > 0 && transitions.every(isTransition)
+)
+
+const isStates = util.both(
+  util.both(util.isPlainObject, util.complement(util.isEmpty)),
+  states => Object.values(states).every(util.both(
+    util.isPlainObject,
+    util.propSatisfies(
+      util.either(util.isUndefined, util.both(util.isPlainObject, on => Object.values(on).every(isTransitions))),
+      'on'
+    )
+  ))
+)
+
+// The transitions of a state for actions of each type
+const getOn = state => util.isUndefined(state.on) ? {} : state.on
+
+// The targets of all the transitions of some states
+const getTargets = states => Object.values(states)
+  .map(state => [].concat(...Object.values(getOn(state))))
+  .reduce((all, transitions) => all.concat(transitions), [])
+  .map(transition => util.isType('string', transition) ? transition : transition.target)
+  .filter(target => !util.isUndefined(target))
+
+const PRECONDITIONS = [
+  mustArgument(0, util.isPlainObject, 'config must be an object'),
+  mustArgument(0, util.propSatisfies(isStates, 'states'), 'states must be a non-empty object of states, whose "on" ' +
+    'transitions are state names, { target, guard, with } objects or arrays of them'),
+  mustArgument(0, ({ initial, states }) => util.has(initial, states), 'initial must be one of the states'),
+  mustArgument(
+    0,
+    ({ states }) => getTargets(states).every(target => util.has(target, states)),
+    'the targets of the transitions must be states'
+  ),
+  mustArgument(
+    0,
+    util.propSatisfies(util.either(util.isUndefined, util.either(util.isFunction, x => ON_INVALID.includes(x))), 'onInvalid'),
+    `onInvalid must be a function or one of ${ON_INVALID.join(', ')}`
+  )
+]
+
+// Converts the transitions for an action in a state to an array of transitions with a target,
+// a guard and a with() reducer for the context
+const normalizeTransitions = (transitions, value) => [].concat(transitions).map(
+  transition => util.isType('string')(transition)
+    ? { target: transition, guard: util.alwaysTrue, with: util.identity }
+    : {
+      target: util.isUndefined(transition.target) ? value : transition.target,
+      guard: util.isUndefined(transition.guard) ? util.alwaysTrue : match.shape(transition.guard),
+      with: util.isUndefined(transition.with) ? util.identity : transition.with
+    }
+)
+
+// Throws for actions that aren't valid in the current state
+const throwInvalid = (state, action) => {
+  const error = new Error(
+    `match.machine: action ${JSON.stringify(action.type)} isn't valid in state ${JSON.stringify(state.value)}`
+  )
+  throw Object.assign(error, { state, action })
+}
+
+// Creates the reducer of a machine Matcher from its config
+const createReducer = api => preconditionsFor(api)(...PRECONDITIONS)(config => {
+  const { initial, context, states, onInvalid = 'ignore' } = config
+  const transitions = util.mapObject(
+    (state, value) => util.mapObject(stateTransitions => normalizeTransitions(stateTransitions, value), getOn(state)),
+    states
+  )
+  // The types of all the machine's actions. Other actions are never invalid.
+  const types = new Set([].concat(...Object.values(states).map(state => Object.keys(getOn(state)))))
+  const handleInvalid = util.isFunction(onInvalid)
+    ? onInvalid
+    : onInvalid === 'throw' ? throwInvalid : util.identity
+
+  const reducer = (state, action, ...rest) => {
+    if (util.isUndefined(state)) {
+      return { value: initial, context }
+    }
+    const type = util.isNil(action) ? undefined : action.type
+    if (!types.has(type)) {
+      return state
+    }
+
+    const stateTransitions = util.has(state.value, transitions) ? transitions[state.value] : {}
+    const candidates = util.has(type, stateTransitions) ? stateTransitions[type] : []
+    const transition = candidates.find(({ guard }) => guard(state.context, action, ...rest))
+    if (util.isUndefined(transition)) {
+      return handleInvalid(state, action, ...rest)
+    }
+
+    const next = { value: transition.target, context: transition.with(state.context, action, ...rest) }
+    return next.value === state.value && next.context === state.context ? state : next
+  }
+
+  return reducer
+})
+
+// Creates a machine Matcher. Its properties keep the config, so with() can replace parts of it.
+const createMatcher = api => config => MachineMatcher(util.alwaysTrue, createReducer(api)(config), { config })
+
+// Machine Matchers' with() returns a machine Matcher with some of the config replaced
+const MachineMatcher = match.extend({
+  name: 'machine',
+  combineWith: preconditionsFor('match.machine().with')
+    (mustArgument(0, ([ config ]) => util.isPlainObject(config), 'argument must be a config object'))
+    (([ config ], description) => createMatcher('match.machine().with')(util.merge(description.config, config)))
+})
+
+// Creates a Matcher for a finite state machine. Its state is { value, context }, where value is the
+// name of the current state and context is any other data. The config has
+//    initial: the name of the initial state
+//    context: the initial context
+//    states: the states, by name. Each state's "on" has the transitions for actions of each type:
+//      the name of the target state, a { target, guard, with } object or an array of them. The
+//      first transition whose guard (a condition, or a match.shape() spec) is true for the
+//      context, the action and any other arguments is taken. Its with() reducer updates the
+//      context, and its target (by default, the current state) becomes the state's value.
+//    onInvalid: how to handle actions that have transitions in some state, but not in the current
+//      one (or whose guards are all false): "ignore" (the default) returns the state, "throw"
+//      throws an error and a function is called like a reducer.
+// Actions without transitions in any state return the state itself.
+// with() replaces parts of the config, e.g. the onInvalid handler.
+module.exports = createMatcher('match.machine')
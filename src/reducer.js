@@ -1,135 +1,947 @@
-const R = require('ramda')
-
 const util = require('./util')
-const { preconditions, must } = util
+const { preconditions, preconditionsFor, must, mustArgument, mustEachArgument } = util
+const { PreconditionError, MatcherTypeError, ConditionTypeError, SpecError } = require('./errors')
 
 // Private Matcher variables, accessible to other Matcher instances
 const privates = new WeakMap()
 
+// Maps conditions created by match.plainActionCondition to the literal action type they require.
+// match.first uses the types to skip conditions that can't match an action.
+const actionTypes = new WeakMap()
+
+// The conditions created by match.actionCondition and match.plainActionCondition, which only test
+// the action. match.namespaced adds its namespace to them.
+const actionConditions = new WeakSet()
+
+// Registers a condition that wraps an action condition as an action condition with the same type
+const copyActionCondition = (from, to) => {
+  actionTypes.has(from) && actionTypes.set(to, actionTypes.get(from))
+  actionConditions.has(from) && actionConditions.add(to)
+  return to
+}
+
+// The kinds of Matcher created by the library. Reported by match.inspect().
+const KIND = {
+  PLAIN: 'plain',
+  FIRST: 'first',
+  ALL: 'all',
+  ALWAYS: 'always',
+  REDUX: 'redux',
+  WITH_DEFAULT: 'withDefault',
+  AT: 'at',
+  EACH: 'each',
+  WHERE: 'where',
+  VALIDATE: 'validate',
+  COMBINE: 'combine',
+  MEMO: 'memo'
+}
+
+// The with() implementations of the kinds of Matcher defined by defineKind(), by kind. Given the
+// arguments to with() and the description of the Matcher, returns the new reducer.
+const combiners = new Map()
+
 // The base type returned by match() -- models a redux reducer as a condition and a "reducer", where
 //    the condition is a predicate that tests whether the state should be changed,
 //    the "reducer" is the function that returns a modified state
-const Matcher = util.functionWithType(function (condition, reducer = R.identity) {
-  const reduce = R.ifElse(condition, reducer, R.identity)
-  reduce.with = childReducer => Matcher(condition, childReducer)
-  privates.set(reduce, { condition, reducer })
+// The optional properties describe the Matcher for match.inspect(): its kind, its child Matchers
+// (by default, the reducer if it's a Matcher) and any details specific to the kind.
+// with() returns a plain Matcher with a new reducer, unless the kind has its own with(). The
+// children of Matchers returned by a kind's with() are the new reducer if it's a Matcher, or else
+// the Matchers passed to with(). A kind's with() that returns a Matcher of the kind returns it
+// as it is, so it can update the Matcher's properties.
+const Matcher = util.functionWithType(function (condition, reducer = util.identity, properties = {}) {
+  const reduce = util.setLength(
+    Math.max(condition.length, reducer.length, 1),
+    (state, ...rest) => condition(state, ...rest) ? reducer(state, ...rest) : state
+  )
+  reduce.with = combiners.has(properties.kind)
+    ? (...args) => {
+      const combined = combiners.get(properties.kind)(args, inspect(reduce))
+      if (isMatcher(combined) && privates.get(combined).kind === properties.kind) {
+        return combined
+      }
+      const children = isMatcher(combined) ? [ combined ] : matchersIn(args)
+      return Matcher(condition, combined, Object.assign({}, properties, { children }))
+    }
+    : childReducer => Matcher(condition, childReducer)
+  privates.set(reduce, Object.assign(
+    { kind: KIND.PLAIN, children: matchersIn([ reducer ]) },
+    properties,
+    { condition, reducer }
+  ))
   return reduce
 }, 'Matcher')
 
-// Given a Matcher, returns a new Matcher with the same condition and reducer
+const isMatcher = x => x instanceof Matcher
+
+// The arguments that are Matchers, e.g. the reducer of a Matcher if it's a Matcher
+const matchersIn = args => args.filter(isMatcher)
+
+// Given a Matcher, returns a new Matcher with the same condition, reducer and properties
 const ofMatcher = preconditions
-  (must(R.is(Matcher), 'argument must be a Matcher'))
-  (R.pipe(
-    util.getFrom(privates),
-    R.converge(Matcher, [
-      R.prop('condition'),
-      R.prop('reducer')
-    ])
-  ))
+  (mustArgument(0, isMatcher, 'argument must be a Matcher', MatcherTypeError))
+  (matcher => {
+    const properties = privates.get(matcher)
+    return Matcher(properties.condition, properties.reducer, util.omit([ 'condition', 'reducer' ], properties))
+  })
+
+// Defines a kind of Matcher whose with() gets its reducer from combineWith. Returns a function
+// that creates Matchers of the kind from a condition, a reducer and properties.
+// Since the kind is one of the Matcher's properties, copies of the Matcher keep its with().
+const defineKind = (kind, combineWith) => {
+  combiners.set(kind, combineWith)
+  return (condition, reducer, properties) => Matcher(condition, reducer, Object.assign({}, properties, { kind }))
+}
 
-const isFunctionOrMatcher = R.anyPass([ util.isFunction, R.is(Matcher) ])
+const isFunctionOrMatcher = x => util.isFunction(x) || isMatcher(x)
+
+const isMatcherCondition = x => util.isFunction(x) || x instanceof Object
 
 const PRECONDITIONS = {
-  isMatcherCondition: must(
-    R.anyPass([ util.isFunction, R.is(Object) ]),
-    'condition must be an object or function'
+  isMatcherCondition: mustArgument(
+    0,
+    isMatcherCondition,
+    'condition must be an object or function',
+    ConditionTypeError
   ),
-  isFunctionOrMatcher: must(
+  isFunctionOrMatcher: mustArgument(
+    0,
     isFunctionOrMatcher,
-    'must be a function or Matcher'
-  )
+    'must be a function or Matcher',
+    MatcherTypeError
+  ),
+  hasArguments: must(
+    (...args) => args.length > 0,
+    'must pass at least one argument',
+    MatcherTypeError
+  ),
+  hasConditions: must(
+    (...args) => args.length > 0,
+    'must pass at least one condition',
+    ConditionTypeError
+  ),
+  areMatchers: mustEachArgument(isMatcher, 'arguments must be Matchers', MatcherTypeError)
 }
 
 // The library export: wraps Matcher to only accept a condition
-const match = preconditions
-  (must(util.isFunction, 'argument must be a function'))
+const match = preconditionsFor('match')
+  (mustArgument(0, util.isFunction, 'condition must be a function', ConditionTypeError))
   (condition => Matcher(condition))
 module.exports = match
 
+// Action types that can be used as keys in an index
+const isIndexableType = type => typeof type === 'string' || typeof type === 'symbol'
+
+// Given some Matchers, returns a function that takes an action and returns the Matchers whose
+// conditions may be true for the action, in their original order. Matchers whose condition
+// requires a different literal action type are skipped; any other action gets every Matcher.
+const indexByActionType = matchers => {
+  const getType = matcher => actionTypes.get(privates.get(matcher).condition)
+  const types = Array.from(new Set(matchers.map(getType).filter(type => type !== undefined)))
+  if (types.length === 0) {
+    return () => matchers
+  }
+
+  const untyped = matchers.filter(matcher => getType(matcher) === undefined)
+  const index = new Map(types.map(type => [
+    type,
+    matchers.filter(matcher => getType(matcher) === undefined || getType(matcher) === type)
+  ]))
+
+  return action => action != null && isIndexableType(action.type)
+    ? index.get(action.type) || untyped
+    : matchers
+}
+
 // Accepts some Matchers and returns a Matcher that uses the reducer of the first Matcher whose
-// condition is true.
-match.first = preconditions
-  (
-    must(R.pipe(R.length, R.gt(R.__, 0)), 'must pass at least one argument'),
-    must(R.unapply(R.all(R.is(Matcher))), 'arguments must be Matchers')
-  )
+// condition is true. Each condition is called at most once.
+match.first = preconditionsFor('match.first')
+  (PRECONDITIONS.hasArguments, PRECONDITIONS.areMatchers)
+  ((...reducers) => {
+    const getCandidates = indexByActionType(reducers)
+    return Matcher(
+      util.alwaysTrue,
+      (state, ...rest) => {
+        for (const matcher of getCandidates(rest[0])) {
+          const { condition, reducer } = privates.get(matcher)
+          if (condition(state, ...rest)) {
+            return reducer(state, ...rest)
+          }
+        }
+        return state
+      },
+      { kind: KIND.FIRST, children: reducers }
+    )
+  })
+
+// Accepts some Matchers and returns a Matcher that passes the state through the reducer of every
+// Matcher whose condition is true, in order. Each reducer receives the state returned by the last.
+match.all = preconditionsFor('match.all')
+  (PRECONDITIONS.hasArguments, PRECONDITIONS.areMatchers)
   ((...reducers) => Matcher(
-    R.T,
-    (state, ...rest) => R.pipe(
-      R.find(
-        R.pipe(util.getFrom(privates), R.prop('condition'), util.callWith(state, ...rest))
-      ),
-      R.ifElse(
-        R.identity,
-        util.callWith(state, ...rest),
-        R.always(state)
-      )
-    )(reducers)
+    util.alwaysTrue,
+    (state, ...rest) => reducers.reduce(
+      (currentState, matcher) => matcher(currentState, ...rest),
+      state
+    ),
+    { kind: KIND.ALL, children: reducers }
   ))
 
 // A Matcher that always calls the reducer.
-match.always = preconditions
+match.always = preconditionsFor('match.always')
   (PRECONDITIONS.isFunctionOrMatcher)
-  (reducer => Matcher(R.T, reducer))
+  (reducer => Matcher(util.alwaysTrue, reducer, { kind: KIND.ALWAYS }))
+
+// Wraps a reducer to return a default value if the state (first argument) is undefined
+const withDefaultValue = (defaultValue, matcher) => util.setLength(
+  Math.max(matcher.length, 1),
+  (state, ...rest) => state === undefined ? defaultValue : matcher(state, ...rest)
+)
+
+// match.withDefault Matchers' with() wraps the new reducer with the same default value
+const DefaultMatcher = defineKind(
+  KIND.WITH_DEFAULT,
+  preconditionsFor('match.withDefault().with')
+    (mustArgument(0, ([ reducer ]) => isFunctionOrMatcher(reducer), 'argument must be a function or Matcher', MatcherTypeError))
+    (([ reducer ], { defaultValue }) => withDefaultValue(defaultValue, reducer))
+)
 
 // Wraps around a Matcher and returns a default value if the state (first argument) is undefined.
-match.withDefault = defaultValue => matcher => R.ifElse(
-  state => util.isUndefined(state),
-  () => defaultValue,
-  matcher
+match.withDefault = defaultValue => matcher => DefaultMatcher(
+  util.alwaysTrue,
+  withDefaultValue(defaultValue, matcher),
+  { children: matchersIn([ matcher ]), defaultValue }
 )
 
+// Scopes a Matcher (or reducer) to part of the state, specified by a path (an array of keys) or a
+// Ramda lens. The Matcher gets the focused part of the state in place of the state, and its result
+// is immutably set in a copy of the state, or in a new object if the state is null or undefined. If
+// the result is the focused part itself, the state is returned unchanged.
+match.at = preconditionsFor('match.at')
+  (mustArgument(0, util.either(Array.isArray, util.isFunction), 'path must be an array or lens'))
+  (pathOrLens => preconditionsFor('match.at')
+    (PRECONDITIONS.isFunctionOrMatcher)
+    (matcher => {
+      const lens = Array.isArray(pathOrLens) ? util.lensPath(pathOrLens) : pathOrLens
+      return Matcher(
+        util.alwaysTrue,
+        (state, ...rest) => {
+          const focused = util.view(lens, state)
+          const result = matcher(focused, ...rest)
+          return Object.is(focused, result) ? state : util.set(lens, result, util.isNil(state) ? {} : state)
+        },
+        { kind: KIND.AT, children: matchersIn([ matcher ]), path: pathOrLens }
+      )
+    }))
+
+// Returns a reducer for arrays and objects that calls a Matcher (or reducer) with each element
+// for which shouldUpdate is true, along with the action, the element's index or key and any other
+// arguments (e.g. match.combine's context). Returns the collection itself if no element changes.
+const updateCollection = (shouldUpdate, matcher) => (collection, action, ...rest) => {
+  let isChanged = false
+  const update = (element, key) => {
+    if (!shouldUpdate(element, action, key, ...rest)) {
+      return element
+    }
+
+    const result = matcher(element, action, key, ...rest)
+    isChanged = isChanged || !Object.is(element, result)
+    return result
+  }
+
+  const updated = Array.isArray(collection)
+    ? collection.map(update)
+    : util.mapObject(update, collection)
+  return isChanged ? updated : collection
+}
+
+// Applies a Matcher (or reducer) to every element of an array or object
+match.each = preconditionsFor('match.each')
+  (PRECONDITIONS.isFunctionOrMatcher)
+  (matcher => Matcher(
+    util.alwaysTrue,
+    updateCollection(util.alwaysTrue, matcher),
+    { kind: KIND.EACH, children: matchersIn([ matcher ]) }
+  ))
+
+// Applies a Matcher (or reducer) to the elements of an array or object selected by a predicate,
+// which is called with the element, action, index or key and any other arguments. Instead of a predicate, an id can
+// be passed to select the elements whose "id" property is the id.
+match.where = selector => preconditionsFor('match.where')
+  (PRECONDITIONS.isFunctionOrMatcher)
+  (matcher => Matcher(
+    util.alwaysTrue,
+    updateCollection(util.isFunction(selector) ? selector : element => util.equals(util.path([ 'id' ], element), selector), matcher),
+    { kind: KIND.WHERE, children: matchersIn([ matcher ]), selector }
+  ))
+
 // Creates a helper predicate that returns true iff the predicates in the object's leaves
 // return true.
-match.shape = R.when(util.isPlainObject, R.where)
+match.shape = spec => util.isPlainObject(spec) ? util.where(spec) : spec
 
 // Creates a helper predicate that deeply matches the supplied object against the argument.
-match.object = R.when(util.isPlainObject, R.whereEq)
+match.object = spec => util.isPlainObject(spec) ? util.whereEq(spec) : spec
+
+// Returns the path to the first part of the state that fails a match.shape()-style schema: a
+// predicate, or an object whose leaves are predicates for the state's properties.
+// Returns undefined if the state is valid.
+const findInvalidPath = (schema, state, path = []) => {
+  if (util.isFunction(schema)) {
+    return schema(state) ? undefined : path
+  }
+
+  if (!(state instanceof Object)) {
+    return path
+  }
+
+  for (const key of Object.keys(schema)) {
+    const invalidPath = findInvalidPath(schema[key], state[key], path.concat([ key ]))
+    if (!util.isUndefined(invalidPath)) {
+      return invalidPath
+    }
+  }
+  return undefined
+}
+
+// Returns a printable description of a value for error messages
+const stringify = value => {
+  try {
+    const json = JSON.stringify(value)
+    return util.isUndefined(json) ? String(value) : json
+  } catch (err) {
+    return String(value)
+  }
+}
+
+// Actions are described by their type, if it's a string
+const describeAction = action => util.isType('string', util.path([ 'type' ], action))
+  ? `"${action.type}"`
+  : stringify(action)
+
+// Throws the errors of match.validate() by default
+const throwError = error => {
+  throw error
+}
+
+// Validation is disabled by default in production builds
+const isProduction = () => typeof process !== 'undefined' && process.env.NODE_ENV === 'production'
+
+// Wraps around a Matcher (or reducer) and validates the state it returns against a
+// match.shape()-style schema. If the state is invalid, creates an error with the path to the
+// invalid part of the state, the state and the action, and calls options.onError with it. By
+// default, the error is thrown.
+// Validation is disabled when options.enabled is false, which is the default if NODE_ENV is
+// "production". When disabled, the Matcher is returned as-is.
+match.validate = preconditionsFor('match.validate')
+  (PRECONDITIONS.isMatcherCondition)
+  ((schema, options = {}) => preconditionsFor('match.validate')
+    (PRECONDITIONS.isFunctionOrMatcher)
+    (matcher => {
+      const { enabled = !isProduction(), onError = throwError } = options
+      if (!enabled) {
+        return matcher
+      }
+
+      return Matcher(
+        util.alwaysTrue,
+        (state, ...rest) => {
+          const result = matcher(state, ...rest)
+          const path = findInvalidPath(schema, result)
+          if (!util.isUndefined(path)) {
+            const [ action ] = rest
+            const error = new Error(
+              `state${path.length === 0 ? '' : `.${path.join('.')}`} is invalid after action ` +
+              `${describeAction(action)}: received ${stringify(util.path(path, result))}`
+            )
+            onError(Object.assign(error, { path, state: result, action }))
+          }
+          return result
+        },
+        { kind: KIND.VALIDATE, children: matchersIn([ matcher ]), schema, options }
+      )
+    }))
+
+// Converts a condition (an object or a function) to a predicate for the combinators: the leaves of
+// objects are either predicates for the argument's properties or values they must equal.
+const toPredicate = condition => util.isFunction(condition)
+  ? condition
+  : util.where(util.mapObject(value => util.isFunction(value) ? value : other => util.equals(value, other), condition))
+
+// Creates a condition combinator from a function that combines the results of the predicates
+const getCombinator = (api, combine) => preconditionsFor(api)
+  (
+    PRECONDITIONS.hasConditions,
+    mustEachArgument(
+      isMatcherCondition,
+      'conditions must be objects or functions',
+      ConditionTypeError
+    )
+  )
+  ((...conditions) => {
+    const predicates = conditions.map(condition => toPredicate(condition))
+    return (...args) => combine(predicate => predicate(...args), predicates)
+  })
+
+// Creates a condition that is true if any of the conditions (objects or functions) is true. The
+// conditions are called with all of the arguments, so they can be used as the conditions of
+// Matchers or inside the objects of other conditions. Object conditions test the first argument.
+match.any = getCombinator('match.any', (test, predicates) => predicates.some(test))
+
+// Creates a condition that is true if every one of the conditions (objects or functions) is true
+match.every = getCombinator('match.every', (test, predicates) => predicates.every(test))
+
+// Creates a condition that is true if the condition (an object or a function) is false
+match.not = preconditionsFor('match.not')
+  (PRECONDITIONS.isMatcherCondition)
+  (condition => {
+    const predicate = toPredicate(condition)
+    return (...args) => !predicate(...args)
+  })
+
+// Action types with wildcards: "*" matches any characters other than "/", and "**" any characters
+const isGlob = pattern => typeof pattern === 'string' && pattern.includes('*')
+const escapeRegExp = string => string.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+const globToRegExp = glob => new RegExp(
+  `^${glob.split('**').map(part => part.split('*').map(escapeRegExp).join('[^/]*')).join('.*')}$`
+)
+
+// Returns a predicate for action types from a pattern: an array of patterns, a RegExp, a string
+// (with or without wildcards) or a symbol. Returns undefined for other types.
+const getTypePredicate = pattern => {
+  if (Array.isArray(pattern)) {
+    const predicates = pattern.map(type => getTypePredicate(type) || (other => util.equals(type, other)))
+    return type => predicates.some(predicate => predicate(type))
+  }
+  if (pattern instanceof RegExp) {
+    // A copy without the global and sticky flags, whose test() would depend on the last match
+    const regExp = new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, ''))
+    return type => typeof type === 'string' && regExp.test(type)
+  }
+  if (isGlob(pattern)) {
+    const regExp = globToRegExp(pattern)
+    return type => typeof type === 'string' && regExp.test(type)
+  }
+  if (isIndexableType(pattern)) {
+    return type => type === pattern
+  }
+  return undefined
+}
+
+// Wraps a transform that returns a unary predicate from a condition, so the type of object
+// conditions can be a pattern for getTypePredicate
+const withTypePattern = getConditionPredicate => condition => {
+  const typePredicate = util.isPlainObject(condition) && util.has('type', condition)
+    ? getTypePredicate(condition.type)
+    : undefined
+  if (util.isUndefined(typePredicate)) {
+    return getConditionPredicate(condition)
+  }
+
+  const predicate = getConditionPredicate(util.omit([ 'type' ], condition))
+  return action => !util.isNil(action) && typePredicate(action.type) && predicate(action)
+}
 
 // Given a transform that returns a unary predicate from a condition, returns a shorthand function
 // for creating conditions that test the second argument using the predicate from the condition.
-const getActionCondition = getConditionPredicate => preconditions
+// The type of object conditions can be an array of types, a RegExp or a string with wildcards.
+// Errors have the name of the api.
+const getActionCondition = (api, getConditionPredicate) => preconditionsFor(api)
   (PRECONDITIONS.isMatcherCondition)
-  (condition => R.pipe(R.nthArg(1), getConditionPredicate(condition)))
+  (condition => {
+    const predicate = withTypePattern(getConditionPredicate)(condition)
+    const actionCondition = util.setLength(2, (state, action) => predicate(action))
+    actionConditions.add(actionCondition)
+    return actionCondition
+  })
 
 // Shorthand for creating a match condition that tests the action (second argument) only and
 // automatically applies match.shape() to the arguments
-match.actionCondition = getActionCondition(match.shape)
+match.actionCondition = getActionCondition('match.actionCondition', match.shape)
 
 // Shorthand for creating a match condition that tests the action (second argument) only and
 // automatically applies match.object() to the arguments
-match.plainActionCondition = getActionCondition(match.object)
+// Conditions that require a literal string or symbol action type are indexed for match.first
+const plainActionCondition = getActionCondition('match.plainActionCondition', match.object)
+match.plainActionCondition = util.setLength(1, condition => {
+  const actionCondition = plainActionCondition(condition)
+  if (util.isPlainObject(condition) && util.has('type', condition) &&
+      isIndexableType(condition.type) && !isGlob(condition.type)) {
+    actionTypes.set(actionCondition, condition.type)
+  }
+  return actionCondition
+})
 
 // Create a Matcher whose condition matches against a plain object action
-match.plainAction = R.pipe(match.plainActionCondition, match)
+match.plainAction = preconditionsFor('match.plainAction')
+  (PRECONDITIONS.isMatcherCondition)
+  (condition => match(match.plainActionCondition(condition)))
 
 // Converts any non-Matchers to Matchers via match.always
 const convertToMatcher = preconditions
   (PRECONDITIONS.isFunctionOrMatcher)
-  (R.when(R.complement(R.is(Matcher)), match.always))
+  (reducer => isMatcher(reducer) ? reducer : match.always(reducer))
 
 // Given some reducers (some of which may be Matchers) returns a match.first Matcher.
 // Converts any plain reducers to match.always Matchers.
-const getMatcherFromReducers = preconditions
-  (must(R.unapply(R.all(isFunctionOrMatcher)), 'arguments must be functions or Matchers'))
-  (R.pipe(
-    R.unapply(R.map(convertToMatcher)),
-    R.apply(match.first)
-  ))
+const getMatcherFromReducers = preconditionsFor('match.redux().with')
+  (mustEachArgument(isFunctionOrMatcher, 'arguments must be functions or Matchers', MatcherTypeError))
+  ((...reducers) => match.first(...reducers.map(reducer => convertToMatcher(reducer))))
 
 // Shorthand for creating a Matcher whose condition tests only the action (second argument), and whose
 // reducer can be a combination of multiple reducers. For use with redux.
 // * Automatically applies the match.action helper to the condition
 // * Automatically applies match.first to the reducers
-match.redux = preconditions
+const ReduxMatcher = defineKind(KIND.REDUX, reducers => getMatcherFromReducers(...reducers))
+match.redux = preconditionsFor('match.redux')
   (PRECONDITIONS.isMatcherCondition)
-  (R.pipe(
-    match.actionCondition,
-    match,
-    matcher => R.pipe(
-      ofMatcher,
-
-      // TODO: have Matcher support other with() implementations
-      util.defineProperty('with', R.pipe(getMatcherFromReducers, matcher.with))
-    )(matcher)
+  (condition => ReduxMatcher(match.actionCondition(condition)))
+
+// Warns about a key of the state that match.combine has no Matcher for
+const warnUnknownKey = (key, keys) => console.warn(
+  `match.combine: the state has an unknown key "${String(key)}", which is kept unchanged. ` +
+  `The Matchers' keys are ${keys.map(key => `"${key}"`).join(', ')}.`
+)
+
+// The contexts that match.combine passes to its Matchers
+const contexts = new WeakSet()
+
+// Finds the context from match.combine in the arguments after the action, or returns undefined
+const findContext = args => args.find(arg => contexts.has(arg))
+
+// Creates the read-only context for the Matchers of a match.combine Matcher
+const createContext = (root, parent) => {
+  const context = Object.freeze({ root, parent })
+  contexts.add(context)
+  return context
+}
+
+// Accepts an object of Matchers (or reducers) and returns a Matcher for an object with the same
+// keys, like redux's combineReducers. Each Matcher reduces the property with its key, and is called
+// with undefined when the state is undefined, so each one can have its own match.withDefault.
+// If no property changes, the state itself is returned. Properties without a Matcher are kept,
+// with a warning (once per key) unless NODE_ENV is "production".
+// The Matchers get a read-only context after the action, with the state before the action of
+//    root: the outermost match.combine Matcher
+//    parent: this Matcher, so the Matchers can read their siblings
+// Any other arguments follow the context.
+match.combine = preconditionsFor('match.combine')
+  (
+    mustArgument(0, util.isPlainObject, 'argument must be an object of Matchers'),
+    mustArgument(0, util.complement(util.isEmpty), 'argument must not be empty'),
+    mustArgument(
+      0,
+      matchers => Object.values(matchers).every(isFunctionOrMatcher),
+      'properties must be functions or Matchers',
+      MatcherTypeError
+    )
+  )
+  (matchers => {
+    const keys = Object.keys(matchers)
+    const children = keys.map(key => convertToMatcher(matchers[key]))
+    const shouldWarn = !isProduction()
+    const warnedKeys = new Set()
+
+    return Matcher(
+      util.alwaysTrue,
+      (state, action, ...others) => {
+        const previous = util.isUndefined(state) ? {} : state
+        const outerContext = findContext(others)
+        const rest = others.filter(arg => arg !== outerContext)
+        const context = createContext(outerContext ? outerContext.root : previous, previous)
+        if (shouldWarn) {
+          Object.keys(previous)
+            .filter(key => !util.has(key, matchers) && !warnedKeys.has(key))
+            .forEach(key => {
+              warnedKeys.add(key)
+              warnUnknownKey(key, keys)
+            })
+        }
+
+        let next = previous
+        keys.forEach((key, index) => {
+          const result = children[index](previous[key], action, context, ...rest)
+          if (result !== previous[key] || !util.has(key, previous)) {
+            next = next === previous ? Object.assign({}, previous) : next
+            next[key] = result
+          }
+        })
+        return next
+      },
+      { kind: KIND.COMBINE, children, keys }
+    )
+  })
+
+// Shorthand for creating a match condition that tests the context that match.combine passes after
+// the action only, and automatically applies match.shape() to the arguments. The context is the
+// third argument, or a later one inside match.each and match.where, which pass the key first.
+// The condition is false for Matchers that aren't called by match.combine.
+match.contextCondition = preconditionsFor('match.contextCondition')
+  (PRECONDITIONS.isMatcherCondition)
+  (condition => {
+    const predicate = match.shape(condition)
+    return util.setLength(3, (state, action, ...rest) => {
+      const context = findContext(rest)
+      return !util.isUndefined(context) && predicate(context)
+    })
+  })
+
+// Defines a new kind of Matcher, with a name and a combineWith function that implements with():
+// given an array of the arguments to with() and the match.inspect() description of the Matcher,
+// combineWith returns the reducer for the new Matcher of the kind, or the new Matcher itself.
+// Returns a function that creates Matchers of the kind from a condition, an optional reducer and
+// optional properties for match.inspect(). The kind is reported by match.inspect(), and copies of
+// the Matchers keep the kind's with().
+match.extend = preconditionsFor('match.extend')
+  (
+    mustArgument(0, util.propSatisfies(util.isNonEmptyString, 'name'), 'name must be a non-empty string'),
+    mustArgument(0, util.propSatisfies(util.isFunction, 'combineWith'), 'combineWith must be a function'),
+    mustArgument(
+      0,
+      ({ name }) => !combiners.has(name) && !Object.values(KIND).includes(name),
+      'a kind with the name already exists'
+    )
+  )
+  (({ name, combineWith }) => {
+    const createMatcher = defineKind(name, combineWith)
+    return preconditionsFor(name)
+      (mustArgument(0, util.isFunction, 'condition must be a function', ConditionTypeError))
+      ((condition, reducer, properties) => createMatcher(condition, reducer, properties))
+  })
+
+// Returns a description of a Matcher: its kind, condition and reducer, the Matcher itself, and
+// descriptions of its child Matchers (e.g. the arguments to match.first). Some kinds add details,
+// like the defaultValue of match.withDefault.
+const inspect = preconditionsFor('match.inspect')
+  (mustArgument(0, isMatcher, 'argument must be a Matcher', MatcherTypeError))
+  (matcher => {
+    const properties = privates.get(matcher)
+    return Object.assign({}, properties, { matcher, children: properties.children.map(child => inspect(child)) })
+  })
+match.inspect = inspect
+
+// True if a value is a Matcher, i.e. it was created by the library and can be inspected
+match.isMatcher = x => isMatcher(x)
+
+// The kinds reported by match.inspect()
+match.kinds = KIND
+
+// The errors thrown when the library's functions are called with invalid arguments
+match.PreconditionError = PreconditionError
+match.MatcherTypeError = MatcherTypeError
+match.ConditionTypeError = ConditionTypeError
+match.SpecError = SpecError
+
+// Rebuilds the Matcher described by a description from match.inspect(), replacing its child
+// Matchers. Kinds without an entry replace the reducer with the only child if the reducer is the
+// child, or else pass the children to the kind's own with(), so e.g. a history Matcher keeps the
+// history of the new child. Wrappers with a plain reducer instead of a Matcher have no children to
+// replace.
+const rebuildWrapper = getWrapper => (description, children) => children.length === 0
+  ? ofMatcher(description.matcher)
+  : getWrapper(description)(children[0])
+const REBUILD = {
+  [KIND.FIRST]: (description, children) => match.first(...children),
+  [KIND.ALL]: (description, children) => match.all(...children),
+  [KIND.WITH_DEFAULT]: rebuildWrapper(description => match.withDefault(description.defaultValue)),
+  [KIND.AT]: rebuildWrapper(description => match.at(description.path)),
+  [KIND.EACH]: rebuildWrapper(() => match.each),
+  [KIND.WHERE]: rebuildWrapper(description => match.where(description.selector)),
+  [KIND.VALIDATE]: rebuildWrapper(description => match.validate(description.schema, description.options)),
+  [KIND.MEMO]: rebuildWrapper(description => matcher => match.memo(matcher, description.options)),
+  [KIND.COMBINE]: (description, children) => match.combine(util.zipObj(description.keys, children))
+}
+const rebuildReducer = (description, children) => combiners.has(description.kind) &&
+  children.length > 0 && !isMatcher(description.reducer)
+  ? description.matcher.with(...children)
+  : Matcher(
+    description.condition,
+    children.length === 0 ? description.reducer : children[0],
+    util.omit([ 'condition', 'reducer', 'matcher', 'children' ], description)
+  )
+const rebuildMatcher = (description, children) =>
+  (util.has(description.kind, REBUILD) ? REBUILD[description.kind] : rebuildReducer)(description, children)
+
+// Wraps a function to call onResult with its arguments and return value
+const onCall = (f, onResult) => util.setLength(f.length, (...args) => {
+  const result = f(...args)
+  onResult(args, result)
+  return result
+})
+
+// Returns a copy of a described Matcher tree that emits events as it's called
+const traceDescription = (onEvent, path) => description => {
+  const children = description.children.map(
+    (child, index) => traceDescription(onEvent, path.concat([ index ]))(child)
+  )
+  const rebuilt = privates.get(rebuildMatcher(description, children))
+  const emit = event => onEvent(Object.assign({ path, kind: description.kind, matcher: description.matcher }, event))
+
+  // Traced conditions keep their action type, so the traced match.first skips the same conditions
+  const condition = copyActionCondition(rebuilt.condition, onCall(rebuilt.condition, (args, result) => emit({
+    type: 'condition',
+    condition: description.condition,
+    args,
+    result
+  })))
+
+  return Matcher(
+    condition,
+    onCall(rebuilt.reducer, (args, result) => emit({
+      type: 'reducer',
+      reducer: description.reducer,
+      args,
+      before: args[0],
+      after: result
+    })),
+    util.omit([ 'condition', 'reducer' ], rebuilt)
+  )
+}
+
+// Returns a copy of a Matcher that calls onEvent for every condition it tests and every reducer
+// it calls, including those of child Matchers.
+// Events have the following properties:
+//    type: 'condition' or 'reducer'
+//    path: the indexes of the children leading from the traced Matcher to the event's Matcher
+//    kind, matcher: the kind of the event's Matcher and the (untraced) Matcher itself
+//    args: the arguments passed to the condition or reducer
+// Condition events also have the condition and its result, and reducer events have the reducer
+// and the state before and after it was called.
+match.trace = preconditionsFor('match.trace')
+  (
+    mustArgument(0, isMatcher, 'first argument must be a Matcher', MatcherTypeError),
+    mustArgument(1, util.propSatisfies(util.isFunction, 'onEvent'), 'onEvent must be a function')
+  )
+  ((matcher, { onEvent }) => traceDescription(onEvent, [])(inspect(matcher)))
+
+// The namespace of an action, in its meta property
+const getNamespace = action => util.path([ 'meta', 'namespace' ], action)
+
+// Returns a copy of a described Matcher tree whose action conditions also require the namespace.
+// Copies of kinds with their own with() record the namespaces in their namespaces property, so
+// their with() can namespace the Matchers it creates.
+const namespaceDescription = namespace => description => {
+  const children = description.children.map(namespaceDescription(namespace))
+  const rebuiltMatcher = rebuildMatcher(description, children)
+  const rebuilt = privates.get(rebuiltMatcher)
+  const hasWith = combiners.has(rebuilt.kind)
+  if (!actionConditions.has(rebuilt.condition) && !hasWith) {
+    return rebuiltMatcher
+  }
+
+  const condition = actionConditions.has(rebuilt.condition)
+    ? copyActionCondition(
+      rebuilt.condition,
+      util.setLength(2, (state, action, ...rest) =>
+        getNamespace(action) === namespace && rebuilt.condition(state, action, ...rest))
+    )
+    : rebuilt.condition
+  const namespaces = hasWith ? { namespaces: (description.namespaces || []).concat([ namespace ]) } : {}
+  return Matcher(condition, rebuilt.reducer, Object.assign(util.omit([ 'condition', 'reducer' ], rebuilt), namespaces))
+}
+
+// Returns a copy of a Matcher whose match.plainAction and match.redux conditions (including those
+// of its child Matchers) only match actions whose meta.namespace is the namespace. The same
+// Matcher can then reduce many parts of the state, each with its own namespace. Other conditions
+// are unchanged.
+// Actions get a namespace from match.namespaced.actionCreator().
+match.namespaced = preconditionsFor('match.namespaced')
+  (
+    mustArgument(0, util.complement(util.isNil), 'namespace must not be null or undefined'),
+    mustArgument(1, isMatcher, 'second argument must be a Matcher', MatcherTypeError)
+  )
+  ((namespace, matcher) => namespaceDescription(namespace)(inspect(matcher)))
+
+// Wraps an action creator to add a namespace to the meta property of its actions, keeping the
+// rest of their meta. The action creator's "type" property, if it has one, is kept too.
+match.namespaced.actionCreator = preconditionsFor('match.namespaced.actionCreator')
+  (
+    mustArgument(0, util.complement(util.isNil), 'namespace must not be null or undefined'),
+    mustArgument(1, util.isFunction, 'action creator must be a function')
+  )
+  ((namespace, actionCreator) => {
+    const namespacedCreator = util.setLength(actionCreator.length, (...args) => {
+      const action = actionCreator(...args)
+      return util.merge(action, { meta: util.merge(action.meta, { namespace }) })
+    })
+    return util.has('type', actionCreator)
+      ? util.defineProperty('type', actionCreator.type, namespacedCreator)
+      : namespacedCreator
+  })
+
+// Returns the index of a child in a description from a key of a path: the index itself, or the key
+// of a match.combine Matcher's child. Returns -1 if there's no such child.
+const getChildIndex = (description, key) => {
+  const index = description.kind === KIND.COMBINE && util.isType('string')(key)
+    ? description.keys.indexOf(key)
+    : key
+  return Number.isInteger(index) && index >= 0 && index < description.children.length ? index : -1
+}
+
+// True if a path leads from a description to one of its descendants (or itself)
+const isPathIn = (description, path) => path.length === 0 || (
+  getChildIndex(description, path[0]) >= 0 &&
+  isPathIn(description.children[getChildIndex(description, path[0])], path.slice(1))
+)
+
+// Returns a copy of a described Matcher tree with the Matcher at a path replaced
+const replaceDescription = (path, replacement) => description => {
+  if (path.length === 0) {
+    return replacement
+  }
+
+  const index = getChildIndex(description, path[0])
+  return rebuildMatcher(description, description.children.map((child, childIndex) => childIndex === index
+    ? replaceDescription(path.slice(1), replacement)(child)
+    : child.matcher
+  ))
+}
+
+// Returns a copy of a Matcher with one of its descendants replaced by another Matcher (or reducer,
+// which is converted with match.always). The path leads to the descendant: its elements are the
+// indexes of match.inspect()'s children, or the keys of match.combine Matchers. The Matchers that
+// contain the descendant are rebuilt; the rest of the tree is kept.
+match.replace = preconditionsFor('match.replace')
+  (
+    mustArgument(0, isMatcher, 'first argument must be a Matcher', MatcherTypeError),
+    mustArgument(1, Array.isArray, 'path must be an array'),
+    mustArgument(2, isFunctionOrMatcher, 'replacement must be a function or Matcher', MatcherTypeError),
+    must((matcher, path) => isPathIn(inspect(matcher), path), 'path must lead to a child Matcher')
+  )
+  ((matcher, path, replacement) => replaceDescription(path, convertToMatcher(replacement))(inspect(matcher)))
+
+// The number of states and actions match.memo() caches by default
+const DEFAULT_MEMO_SIZE = 100
+
+// The hit and miss counts of the functions memoized by match.memo()
+const memoStats = new WeakMap()
+
+// Gets the value of a key in a Map used as an LRU cache, whose keys are in the order they were
+// last used. Keys are compared with equals, if there is one. Returns undefined if there's no key.
+const getLru = (cache, key, equals) => {
+  let cachedKey = key
+  let isCached = cache.has(key)
+  if (!isCached && equals !== undefined) {
+    for (const cached of cache.keys()) {
+      if (equals(key, cached)) {
+        cachedKey = cached
+        isCached = true
+        break
+      }
+    }
+  }
+  if (!isCached) {
+    return undefined
+  }
+
+  const value = cache.get(cachedKey)
+  cache.delete(cachedKey)
+  cache.set(cachedKey, value)
+  return value
+}
+
+// Sets the value of a key in an LRU cache, removing the least recently used key if there are more
+// than size
+const setLru = (cache, key, value, size) => {
+  cache.set(key, value)
+  if (cache.size > size) {
+    cache.delete(cache.keys().next().value)
+  }
+  return value
+}
+
+// Caches the results of a function of a state and an action: a WeakMap maps object states (and an
+// LRU maps primitive states) to an LRU of actions and results. Calls with more arguments aren't
+// cached.
+const memoize = (f, { size, equals }) => {
+  const stats = { hits: 0, misses: 0 }
+  const objectStates = new WeakMap()
+  const primitiveStates = new Map()
+
+  const getActions = state => {
+    const isObject = state instanceof Object
+    const actions = isObject
+      ? objectStates.get(state)
+      : getLru(primitiveStates, state)
+    if (actions !== undefined) {
+      return actions
+    }
+    return isObject
+      ? (objectStates.set(state, new Map()), objectStates.get(state))
+      : setLru(primitiveStates, state, new Map(), size)
+  }
+
+  const memoized = util.setLength(f.length, (state, action, ...rest) => {
+    if (rest.length > 0) {
+      return f(state, action, ...rest)
+    }
+
+    const actions = getActions(state)
+    const entry = getLru(actions, action, equals)
+    if (entry !== undefined) {
+      stats.hits++
+      return entry.result
+    }
+    stats.misses++
+    return setLru(actions, action, { result: f(state, action) }, size).result
+  })
+  memoStats.set(memoized, stats)
+  return copyActionCondition(f, memoized)
+}
+
+// Memo Matchers' with() memoizes the new reducer with the same options. The condition's cache is
+// kept, since the condition is the same.
+const MemoMatcher = defineKind(
+  KIND.MEMO,
+  preconditionsFor('match.memo().with')
+    (mustArgument(0, ([ reducer ]) => isFunctionOrMatcher(reducer), 'argument must be a function or Matcher', MatcherTypeError))
+    (([ reducer ], { options }) => memoize(reducer, options))
+)
+
+// Wraps a Matcher (or reducer) to cache the results of its condition and reducer for each state
+// and action, by identity. The options are
+//    size: the number of primitive states, and of actions for each state, to keep (100 by default).
+//      The least recently used are removed first. Object states are kept until they're garbage
+//      collected.
+//    equals: compares actions, e.g. to share results between equal copies of an action
+// The Matcher's condition and reducer must only depend on their arguments. Calls with more than a
+// state and an action, e.g. from match.combine(), aren't cached.
+match.memo = preconditionsFor('match.memo')
+  (
+    PRECONDITIONS.isFunctionOrMatcher,
+    mustArgument(
+      1,
+      util.either(util.isUndefined, util.both(util.isPlainObject, util.allPass([
+        util.propSatisfies(util.either(util.isUndefined, size => Number.isInteger(size) && size > 0), 'size'),
+        util.propSatisfies(util.either(util.isUndefined, util.isFunction), 'equals')
+      ]))),
+      'options must be an object with a positive integer size and an equals function'
+    )
+  )
+  ((matcher, options = {}) => {
+    const { size = DEFAULT_MEMO_SIZE, equals } = options
+    const memoOptions = { size, equals }
+    const { condition, reducer } = isMatcher(matcher)
+      ? privates.get(matcher)
+      : { condition: util.alwaysTrue, reducer: matcher }
+    return MemoMatcher(
+      condition === util.alwaysTrue ? condition : memoize(condition, memoOptions),
+      memoize(reducer, memoOptions),
+      { children: matchersIn([ matcher ]), options: memoOptions }
+    )
+  })
+
+const copyStats = f => Object.assign({ hits: 0, misses: 0 }, memoStats.get(f))
+
+// Returns the number of times the cached results of a match.memo() Matcher's condition and reducer
+// were used (hits) and computed (misses): { condition: { hits, misses }, reducer: { hits, misses } }
+match.memo.stats = preconditionsFor('match.memo.stats')
+  (mustArgument(
+    0,
+    matcher => isMatcher(matcher) && privates.get(matcher).kind === KIND.MEMO,
+    'argument must be a Matcher created by match.memo',
+    MatcherTypeError
   ))
+  (matcher => {
+    const { condition, reducer } = privates.get(matcher)
+    return { condition: copyStats(condition), reducer: copyStats(reducer) }
+  })
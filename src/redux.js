@@ -0,0 +1,117 @@
+// The reducer-redux/redux entry point: creates redux stores whose reducer is a Matcher, labels
+// their actions for the Redux DevTools and replaces parts of the Matcher without losing the state.
+const { createStore, compose } = require('redux')
+
+// The bundle imports match from the main bundle, so it shares its Matchers and errors
+const match = require('./index')
+const util = require('./util')
+const { preconditionsFor, mustArgument } = util
+const { traceHandlers, toMatcher } = require('./handlers')
+
+// The labels of the actions reduced by the stores' Matchers, for actionSanitizer
+const labels = new WeakMap()
+
+// The actions of redux and its tools, e.g. @@redux/INIT, which aren't expected to be handled
+const isInternalAction = action => util.isType('string', util.path([ 'type' ], action)) && action.type.startsWith('@@')
+
+// Describes the path of a Matcher in a tree: the keys of match.combine Matchers, and the kind and
+// child index of other Matchers, e.g. "todos > withDefault[0] > first[2]"
+const describePath = (description, path) => path.length === 0
+  ? []
+  : [
+    description.kind === match.kinds.COMBINE
+      ? description.keys[path[0]]
+      : `${description.kind}[${path[0]}]`
+  ].concat(describePath(description.children[path[0]], path.slice(1)))
+
+// Returns the root Matcher's reducer for a store, which records the label of each action
+const createReducer = (matcher, onUnhandled) => {
+  const reduceHandled = traceHandlers(matcher)
+  const description = match.inspect(toMatcher(matcher))
+
+  return (state, action, ...rest) => {
+    const { state: next, handledBy } = reduceHandled(state, action, ...rest)
+    if (handledBy) {
+      labels.set(action, { handledBy: describePath(description, handledBy.path).join(' > ') })
+    } else if (next === state && action instanceof Object && !isInternalAction(action)) {
+      labels.set(action, { unhandled: true })
+      onUnhandled(action, state)
+    }
+    return next
+  }
+}
+
+const isOptions = util.both(
+  util.isPlainObject,
+  util.propSatisfies(util.either(util.isUndefined, util.isFunction), 'onUnhandled')
+)
+
+// Returns the action shown in the Redux DevTools for an action: a copy with the label of the branch
+// of a match.first or match.redux Matcher that handled it (handledBy), or unhandled: true if the
+// action didn't change the state. Pass it to the DevTools' actionSanitizer option.
+const actionSanitizer = action => labels.has(action) ? util.merge(action, labels.get(action)) : action
+
+// A store enhancer for stores whose reducer is a Matcher. It labels each action for
+// actionSanitizer, calls options.onUnhandled with the actions that no branch handled and the state,
+// and adds to the store
+//    getMatcher(): returns the current root Matcher
+//    replaceMatcher(path, matcher): replaces a Matcher in the tree with match.replace(), keeping
+//      the state
+// The store's replaceReducer() replaces the root Matcher.
+// Put it before the DevTools and other enhancers, so it gets the store's Matcher.
+const matcherEnhancer = preconditionsFor('matcherEnhancer')
+  (mustArgument(0, util.either(util.isUndefined, isOptions), 'options must be an object with an onUnhandled function'))
+  ((options = {}) => next => (rootMatcher, ...args) => {
+    const { onUnhandled = () => undefined } = options
+    let matcher = rootMatcher
+    const store = next(createReducer(matcher, onUnhandled), ...args)
+
+    const replaceReducer = preconditionsFor('store.replaceReducer')
+      (mustArgument(0, util.isFunction, 'argument must be a function or Matcher', match.MatcherTypeError))
+      (nextMatcher => {
+        matcher = nextMatcher
+        store.replaceReducer(createReducer(matcher, onUnhandled))
+      })
+
+    return util.merge(store, {
+      replaceReducer,
+      getMatcher: () => matcher,
+      replaceMatcher: (path, replacement) => replaceReducer(match.replace(matcher, path, replacement))
+    })
+  })
+
+// Returns the compose function for enhancers: the Redux DevTools extension's, if it's installed and
+// enabled, with actionSanitizer
+const getCompose = devTools => {
+  const composeWithDevTools = typeof window !== 'undefined' && window.__REDUX_DEVTOOLS_EXTENSION_COMPOSE__
+  return devTools && composeWithDevTools
+    ? composeWithDevTools(util.merge({ actionSanitizer }, util.isPlainObject(devTools) ? devTools : {}))
+    : compose
+}
+
+// Creates a redux store whose reducer is a Matcher, with matcherEnhancer and the other enhancers.
+// The options are
+//    preloadedState: the store's initial state
+//    onUnhandled: passed to matcherEnhancer
+//    devTools: whether to connect to the Redux DevTools extension, if it's installed (true by
+//      default), or the extension's options
+const createMatcherStore = preconditionsFor('createMatcherStore')
+  (
+    mustArgument(0, util.isFunction, 'root Matcher must be a function or Matcher', match.MatcherTypeError),
+    mustArgument(
+      1,
+      util.either(util.isUndefined, enhancers => Array.isArray(enhancers) && enhancers.every(util.isFunction)),
+      'enhancers must be an array of functions'
+    ),
+    mustArgument(2, util.either(util.isUndefined, util.isPlainObject), 'options must be an object')
+  )
+  ((rootMatcher, enhancers = [], options = {}) => {
+    const { preloadedState, onUnhandled, devTools = true } = options
+    return createStore(
+      rootMatcher,
+      preloadedState,
+      getCompose(devTools)(matcherEnhancer({ onUnhandled }), ...enhancers)
+    )
+  })
+
+module.exports = { createMatcherStore, matcherEnhancer, actionSanitizer }
@@ -0,0 +1,114 @@
+const match = require('./reducer')
+const util = require('./util')
+const { preconditionsFor, mustArgument } = util
+const { MatcherTypeError } = require('./errors')
+const { traceHandlers } = require('./handlers')
+
+// The number of actions between the states a replay keeps, unless it's set in the options
+const DEFAULT_CHECKPOINT_INTERVAL = 100
+
+const isCheckpointInterval = interval => Number.isInteger(interval) && interval > 0
+
+const isOptions = util.both(
+  util.isPlainObject,
+  util.propSatisfies(util.either(util.isUndefined, isCheckpointInterval), 'checkpointInterval')
+)
+
+// Creates the replay of some actions returned by match.replay()
+const createReplay = (matcher, actions, { initialState, checkpointInterval = DEFAULT_CHECKPOINT_INTERVAL }) => {
+  const reduceHandled = traceHandlers(matcher)
+  const reduceStep = (state, index) => {
+    const action = actions[index]
+    const { state: next, handledBy } = reduceHandled(state, action)
+    return { index, action, state: next, changed: next !== state, handledBy }
+  }
+
+  // The states after every checkpointInterval actions, by the number of actions
+  const checkpoints = new Map([ [ 0, initialState ] ])
+  const addCheckpoint = (count, state) => {
+    count % checkpointInterval === 0 && checkpoints.set(count, state)
+    return state
+  }
+
+  // Returns the state after the first count actions, reduced from the closest checkpoint
+  const stateAfter = count => {
+    let start = count - count % checkpointInterval
+    while (!checkpoints.has(start)) {
+      start -= checkpointInterval
+    }
+
+    let state = checkpoints.get(start)
+    for (let index = start; index < count; index++) {
+      state = addCheckpoint(index + 1, matcher(state, actions[index]))
+    }
+    return state
+  }
+
+  const isIndex = (index, min = 0) => Number.isInteger(index) && index >= min && index < actions.length
+  const indexMessage = `index must be an integer from 0 to ${actions.length - 1}`
+
+  return {
+    length: actions.length,
+
+    [Symbol.iterator]: function * () {
+      let state = initialState
+      for (let index = 0; index < actions.length; index++) {
+        const step = reduceStep(state, index)
+        state = addCheckpoint(index + 1, step.state)
+        yield step
+      }
+    },
+
+    // Returns the state after the action at an index, or the initial state for -1
+    stateAt: preconditionsFor('match.replay().stateAt')
+      (mustArgument(0, index => isIndex(index, -1), `index must be an integer from -1 to ${actions.length - 1}`))
+      (index => stateAfter(index + 1)),
+
+    // Returns the step of the action at an index
+    step: preconditionsFor('match.replay().step')
+      (mustArgument(0, isIndex, indexMessage))
+      (index => reduceStep(stateAfter(index), index)),
+
+    // Returns the step of the first action whose state fails a predicate (or a match.shape()
+    // spec), or undefined if every state passes. States can pass again after failing, so it tests
+    // the state after every action, reducing each one once and keeping the checkpoints on the way.
+    bisect: preconditionsFor('match.replay().bisect')
+      (mustArgument(0, util.either(util.isFunction, util.isPlainObject), 'predicate must be a function or object'))
+      (predicate => {
+        const passes = match.shape(predicate)
+        let state = initialState
+        for (let index = 0; index < actions.length; index++) {
+          const next = addCheckpoint(index + 1, matcher(state, actions[index]))
+          if (!passes(next)) {
+            return reduceStep(state, index)
+          }
+          state = next
+        }
+        return undefined
+      })
+  }
+}
+
+// Replays some actions through a Matcher (or reducer), for debugging. Returns an iterable of steps,
+// one for each action, with
+//    index, action: the action and its index
+//    state: the state after the action
+//    changed: true if the state isn't the state before the action
+//    handledBy: the { path, matcher, reducer } of the branch of a match.first or match.redux
+//      Matcher that reduced the action (the innermost, if several did), or undefined. The path is
+//      the same as match.inspect()'s children, and the reducer is the one passed to with().
+// The replay's stateAt(index) and step(index) return the state and step of any action, reduced
+// from the closest checkpoint, a state kept every checkpointInterval actions (100 by default).
+// bisect(predicate) finds the first action whose state fails a predicate, testing every state.
+// The options' initialState is the state before the first action (undefined by default).
+module.exports = preconditionsFor('match.replay')
+  (
+    mustArgument(0, util.isFunction, 'argument must be a function or Matcher', MatcherTypeError),
+    mustArgument(1, Array.isArray, 'actions must be an array'),
+    mustArgument(
+      2,
+      util.either(util.isUndefined, isOptions),
+      'options must be an object with a positive integer checkpointInterval'
+    )
+  )
+  ((matcher, actions, options = {}) => createReplay(matcher, actions, options))
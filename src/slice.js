@@ -0,0 +1,40 @@
+const match = require('./reducer')
+const util = require('./util')
+const { preconditionsFor, mustArgument } = util
+const { MatcherTypeError } = require('./errors')
+
+// Returns an action creator for an action type. The action creator's "type" property is the type.
+const createAction = type => util.defineProperty('type', type, payload => ({ type, payload }))
+
+// Creates a reducer for a slice of the state from an object of handlers (reducers or Matchers),
+// along with the action types and action creators for the handlers. Returns an object with
+//    name: the name of the slice
+//    types: the action type for each handler, namespaced by the name of the slice
+//    actions: an action creator for each handler, which puts its argument in the action's payload
+//    reducer: a Matcher that calls the handler for the action's type, with the initial state
+//      as its default
+module.exports = preconditionsFor('match.slice')
+  (
+    mustArgument(0, util.propSatisfies(util.isNonEmptyString, 'name'), 'name must be a non-empty string'),
+    mustArgument(0, util.propSatisfies(util.isPlainObject, 'handlers'), 'handlers must be an object'),
+    mustArgument(0, ({ handlers }) => !util.isEmpty(handlers), 'handlers must not be empty'),
+    mustArgument(
+      0,
+      ({ handlers }) => Object.values(handlers).every(util.isFunction),
+      'handlers must be functions or Matchers',
+      MatcherTypeError
+    )
+  )
+  (({ name, initialState, handlers }) => {
+    const types = util.mapObject((handler, key) => `${name}/${key}`, handlers)
+    const reducer = match.withDefault(initialState)(match.first(
+      ...Object.keys(handlers).map(key => match.plainAction({ type: types[key] }).with(handlers[key]))
+    ))
+
+    return {
+      name,
+      types,
+      actions: util.mapObject(type => createAction(type), types),
+      reducer
+    }
+  })
@@ -0,0 +1,370 @@
+// The reducer-redux/testing entry point: checks that a Matcher (or any reducer) keeps the
+// invariants of redux reducers for generated states and actions, and reports the smallest
+// counterexample it finds.
+const util = require('./util')
+const toString = require('./toString')
+const { preconditionsFor, mustArgument } = util
+const { MatcherTypeError } = require('./errors')
+
+// GENERATORS ===========================================
+// A generator creates a random sample as a tree: the value, and a function that returns trees for
+// smaller versions of the value. The trees of composite generators shrink their parts, so a
+// counterexample can be shrunk without knowing how it was generated.
+
+const tree = (value, shrinks = () => []) => ({ value, shrinks })
+
+const Generator = generate => ({ generate })
+
+const isGenerator = x => x instanceof Object && util.isFunction(x.generate)
+
+// A random number generator for a seed (mulberry32): returns numbers in [0, 1)
+const createRandom = seed => {
+  let current = seed >>> 0
+  return () => {
+    current = (current + 0x6D2B79F5) >>> 0
+    let t = current
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+const randomInteger = (random, min, max) => min + Math.floor(random() * (max - min + 1))
+
+// Integers between the target and n, closest to the target first
+const towards = (target, n) => {
+  const candidates = []
+  for (let difference = n - target; difference !== 0; difference = Math.trunc(difference / 2)) {
+    candidates.push(n - difference)
+  }
+  return candidates
+}
+
+const integerTree = (target, n) => tree(n, () => towards(target, n).map(m => integerTree(target, m)))
+
+// Maps the values of a tree and its shrinks
+const mapTree = (f, { value, shrinks }) => tree(f(value), () => shrinks().map(child => mapTree(f, child)))
+
+const valuesOf = trees => trees.map(({ value }) => value)
+
+// Copies an array with the element at an index removed, or replaced
+const remove = (index, array) => array.slice(0, index).concat(array.slice(index + 1))
+const update = (index, element, array) => array.slice(0, index).concat([ element ], array.slice(index + 1))
+
+// The trees for an array of trees with each element shrunk
+const shrinkEach = (trees, toTree) => [].concat(...trees.map(
+  (element, index) => element.shrinks().map(child => toTree(update(index, child, trees)))
+))
+
+// The trees for an array of trees: without each element, then with each element shrunk
+const arrayTree = trees => tree(valuesOf(trees), () => [].concat(
+  trees.map((_, index) => arrayTree(remove(index, trees))),
+  shrinkEach(trees, arrayTree)
+))
+
+// Like arrayTree, but elements are only shrunk, not removed
+const arrayTreeOfFixedLength = trees => tree(valuesOf(trees), () => shrinkEach(trees, arrayTreeOfFixedLength))
+
+// Generates the same value
+const constant = value => Generator(() => tree(value))
+
+// Maps the values of a generator
+const map = preconditionsFor('gen.map')
+  (
+    mustArgument(0, util.isFunction, 'first argument must be a function'),
+    mustArgument(1, isGenerator, 'second argument must be a generator')
+  )
+  ((f, generator) => Generator(random => mapTree(f, generator.generate(random))))
+
+// Values in a record() spec that aren't generators are constants
+const toGenerator = value => isGenerator(value) ? value : constant(value)
+
+const isNonEmptyArray = x => Array.isArray(x) && x.length > 0
+
+// Generates one of the values, shrinking towards the first
+const elements = preconditionsFor('gen.elements')
+  (mustArgument(0, isNonEmptyArray, 'values must be a non-empty array'))
+  (values => Generator(random => mapTree(
+    index => values[index],
+    integerTree(0, randomInteger(random, 0, values.length - 1))
+  )))
+
+// Generates integers from min to max, shrinking towards 0 (or the bound closest to it)
+const integer = ({ min = -100, max = 100 } = {}) => {
+  const target = Math.min(Math.max(0, min), max)
+  return Generator(random => integerTree(target, randomInteger(random, min, max)))
+}
+
+const boolean = () => elements([ false, true ])
+
+// Generates one of the generators' values
+const oneOf = preconditionsFor('gen.oneOf')
+  (util.mustEachArgument(isGenerator, 'arguments must be generators'))
+  ((...generators) => Generator(random => generators[randomInteger(random, 0, generators.length - 1)].generate(random)))
+
+// Generates arrays of values, up to maxLength long
+const arrayOf = preconditionsFor('gen.arrayOf')
+  (mustArgument(0, isGenerator, 'argument must be a generator'))
+  ((generator, { maxLength = 10 } = {}) => Generator(random => arrayTree(
+    Array.from({ length: randomInteger(random, 0, maxLength) }, () => generator.generate(random))
+  )))
+
+// Generates strings of lowercase letters, up to maxLength long
+const string = ({ maxLength = 10 } = {}) => map(
+  letters => letters.join(''),
+  arrayOf(elements('abcdefghijklmnopqrstuvwxyz'.split('')), { maxLength })
+)
+
+// Generates objects with a value from the generator (or the constant) for each key
+const record = preconditionsFor('gen.record')
+  (mustArgument(0, util.isPlainObject, 'argument must be an object'))
+  (spec => {
+    const keys = Object.keys(spec)
+    const generators = keys.map(key => toGenerator(spec[key]))
+    return Generator(random => mapTree(
+      values => util.zipObj(keys, values),
+      arrayTreeOfFixedLength(generators.map(generator => generator.generate(random)))
+    ))
+  })
+
+// Generates redux actions with a type and, if there's a generator for it, a payload
+const action = preconditionsFor('gen.action')
+  (mustArgument(0, util.complement(util.isNil), 'type must not be null or undefined'))
+  ((type, payload) => record(util.isNil(payload) ? { type } : { type, payload }))
+
+const gen = { constant, elements, integer, boolean, oneOf, arrayOf, string, record, action, map }
+
+// PROPERTIES ===========================================
+
+// Freezes an object and everything it contains
+const deepFreeze = (value, frozen = new WeakSet()) => {
+  if (value instanceof Object && !frozen.has(value)) {
+    frozen.add(value)
+    Object.getOwnPropertyNames(value).forEach(key => deepFreeze(value[key], frozen))
+    Object.freeze(value)
+  }
+  return value
+}
+
+// Calls the Matcher with copies of the state and action, and returns the result or the error
+const reduceCopies = (matcher, state, action) => {
+  const copies = { state: util.clone(state), action: util.clone(action) }
+  try {
+    return util.merge(copies, { result: matcher(copies.state, copies.action) })
+  } catch (error) {
+    return util.merge(copies, { error })
+  }
+}
+
+const describeError = error => `threw ${error && error.message ? error.message : toString(error)}`
+
+// Each property is checked for a sample, and returns a description of the failure, if it fails.
+// The samples have a state, an action and an unrelated action.
+const PROPERTIES = {
+  // The Matcher doesn't change its arguments, whether they're frozen or not
+  purity: (matcher, { state, action }) => {
+    const call = reduceCopies(matcher, state, action)
+    if (call.error) {
+      return describeError(call.error)
+    }
+    if (!util.equals(call.state, state)) {
+      return `changed the state to ${toString(call.state)}`
+    }
+    if (!util.equals(call.action, action)) {
+      return `changed the action to ${toString(call.action)}`
+    }
+
+    try {
+      matcher(deepFreeze(util.clone(state)), deepFreeze(util.clone(action)))
+    } catch (error) {
+      return `${describeError(error)} when the state and action were frozen`
+    }
+  },
+
+  // The Matcher returns equal states for equal arguments
+  determinism: (matcher, { state, action }) => {
+    const first = reduceCopies(matcher, state, action)
+    const second = reduceCopies(matcher, state, action)
+    if (first.error || second.error) {
+      return describeError(first.error || second.error)
+    }
+    if (!util.equals(first.result, second.result)) {
+      return `returned ${toString(first.result)}, then ${toString(second.result)}`
+    }
+  },
+
+  // The Matcher returns the state itself for unrelated actions
+  identity: (matcher, { state, unrelatedAction }) => {
+    const call = reduceCopies(matcher, state, unrelatedAction)
+    if (call.error) {
+      return describeError(call.error)
+    }
+    if (call.result !== call.state) {
+      return `returned ${toString(call.result)} for the unrelated action instead of the state itself`
+    }
+  },
+
+  // The Matcher returns the state itself instead of an equal copy
+  noCopies: (matcher, { state, action }) => {
+    const call = reduceCopies(matcher, state, action)
+    if (call.error) {
+      return describeError(call.error)
+    }
+    if (call.result !== call.state && util.equals(call.result, call.state)) {
+      return `returned a copy of the state instead of the state itself`
+    }
+  },
+
+  // The Matcher returns its initial state (for redux, anything but undefined) for an undefined state
+  default: (matcher, { action }, options) => {
+    const call = reduceCopies(matcher, undefined, action)
+    if (call.error) {
+      return describeError(call.error)
+    }
+    if (util.has('initialState', options) ? !util.equals(call.result, options.initialState) : util.isUndefined(call.result)) {
+      return `returned ${toString(call.result)} for an undefined state`
+    }
+  }
+}
+
+// CHECKING =============================================
+
+// Thrown by checkMatcher for the smallest sample it finds that fails a property
+class CounterexampleError extends Error {
+  constructor (property, failure, sample, { seed, runs, shrinks }) {
+    super(
+      `The Matcher failed the "${property}" property after ${runs} run${runs === 1 ? '' : 's'} ` +
+      `and ${shrinks} shrink${shrinks === 1 ? '' : 's'} (seed ${seed}): it ${failure}\n` +
+      Object.keys(sample).map(key => `  ${key}: ${toString(sample[key])}`).join('\n')
+    )
+
+    this.name = 'CounterexampleError'
+    this.property = property
+    this.failure = failure
+    this.sample = sample
+    this.seed = seed
+    this.runs = runs
+    this.shrinks = shrinks
+  }
+}
+
+// The properties that are checked unless the options list them
+const DEFAULT_PROPERTIES = [ 'purity', 'determinism', 'identity', 'default' ]
+
+// By default, unrelated actions have a type that no Matcher handles
+const unknownActions = map(type => ({ type: `@@reducer-redux/UNKNOWN_${type}` }), string({ maxLength: 8 }))
+
+// Samples can be generators, or arrays of values to pick from
+const toSampleGenerator = samples => Array.isArray(samples) ? elements(samples) : samples
+const isSampleGenerator = util.either(isNonEmptyArray, isGenerator)
+
+// Returns the first property that a sample fails and its failure, if any
+const findFailure = (matcher, properties, options) => sample => {
+  for (const property of properties) {
+    const failure = PROPERTIES[property](matcher, sample, options)
+    if (!util.isUndefined(failure)) {
+      return { property, failure }
+    }
+  }
+  return undefined
+}
+
+// The largest number of smaller samples to try when shrinking a counterexample
+const MAX_SHRINKS = 1000
+
+// Shrinks a failing sample tree for as long as a smaller sample fails the same property
+const shrink = (sampleTree, failed, findSampleFailure) => {
+  let current = { tree: sampleTree, failed, shrinks: 0 }
+  let attempts = 0
+  let isShrinking = true
+  while (isShrinking && attempts < MAX_SHRINKS) {
+    isShrinking = false
+    for (const child of current.tree.shrinks()) {
+      attempts += 1
+      const childFailed = findSampleFailure(child.value)
+      if (childFailed && childFailed.property === current.failed.property) {
+        current = { tree: child, failed: childFailed, shrinks: current.shrinks + 1 }
+        isShrinking = true
+        break
+      }
+      if (attempts >= MAX_SHRINKS) {
+        break
+      }
+    }
+  }
+  return current
+}
+
+const isPropertyList = properties => Array.isArray(properties) && properties.every(property => util.has(property, PROPERTIES))
+
+// Checks that a Matcher (or any reducer) has the properties of redux reducers, for samples of
+// states and actions. The options are
+//    states, actions: generators (see gen) or arrays of values for the samples
+//    unrelatedActions: a generator or array of actions the Matcher should ignore (by default,
+//      actions with unknown types)
+//    initialState: optionally, the state the Matcher should return for an undefined state
+//    properties: the names of the properties to check (by default, all but noCopies)
+//    runs: the number of samples (by default, 100)
+//    seed: the seed for the samples (by default, a random seed), to reproduce a failure
+// The properties are
+//    purity: the Matcher doesn't change the state or action, and doesn't throw when they're frozen
+//    determinism: the Matcher returns equal results for equal arguments
+//    identity: the Matcher returns the state itself for unrelatedActions
+//    default: for an undefined state, the Matcher returns initialState, or anything but undefined
+//    noCopies: when the state doesn't change, the Matcher returns the state itself, not an equal
+//      copy. Checked only if it's listed in the properties.
+// Throws a CounterexampleError for the smallest sample it finds that fails a property. Returns
+// the number of samples checked otherwise.
+const checkMatcher = preconditionsFor('checkMatcher')
+  (
+    mustArgument(0, util.isFunction, 'first argument must be a Matcher or reducer', MatcherTypeError),
+    mustArgument(1, util.isPlainObject, 'options must be an object'),
+    mustArgument(1, util.propSatisfies(isSampleGenerator, 'states'), 'states must be a generator or non-empty array'),
+    mustArgument(1, util.propSatisfies(isSampleGenerator, 'actions'), 'actions must be a generator or non-empty array'),
+    mustArgument(
+      1,
+      util.propSatisfies(util.either(util.isUndefined, isSampleGenerator), 'unrelatedActions'),
+      'unrelatedActions must be a generator or non-empty array'
+    ),
+    mustArgument(
+      1,
+      util.propSatisfies(util.either(util.isUndefined, isPropertyList), 'properties'),
+      `properties must be an array of ${Object.keys(PROPERTIES).join(', ')}`
+    ),
+    mustArgument(
+      1,
+      util.propSatisfies(util.either(util.isUndefined, runs => Number.isInteger(runs) && runs > 0), 'runs'),
+      'runs must be a positive integer'
+    )
+  )
+  ((matcher, options) => {
+    const {
+      properties = DEFAULT_PROPERTIES,
+      runs = 100,
+      seed = Math.floor(Math.random() * 4294967296)
+    } = options
+    const samples = record({
+      state: toSampleGenerator(options.states),
+      action: toSampleGenerator(options.actions),
+      unrelatedAction: toSampleGenerator(util.isNil(options.unrelatedActions) ? unknownActions : options.unrelatedActions)
+    })
+    const findSampleFailure = findFailure(matcher, properties, options)
+    const random = createRandom(seed)
+
+    for (let run = 1; run <= runs; run += 1) {
+      const sampleTree = samples.generate(random)
+      const failed = findSampleFailure(sampleTree.value)
+      if (failed) {
+        const smallest = shrink(sampleTree, failed, findSampleFailure)
+        throw new CounterexampleError(
+          smallest.failed.property,
+          smallest.failed.failure,
+          smallest.tree.value,
+          { seed, runs: run, shrinks: smallest.shrinks }
+        )
+      }
+    }
+    return runs
+  })
+
+module.exports = { checkMatcher, gen, CounterexampleError, deepFreeze }
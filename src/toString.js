@@ -0,0 +1,49 @@
+// Like R.toString: returns a printable representation of a value for messages, e.g.
+// {"a": [1, "b"]}. Keys are sorted, and values that contain themselves are shown as <Circular>.
+
+const quote = string => `"${string
+  .replace(/\\/g, '\\\\')
+  .replace(/[\b]/g, '\\b')
+  .replace(/\f/g, '\\f')
+  .replace(/\n/g, '\\n')
+  .replace(/\r/g, '\\r')
+  .replace(/\t/g, '\\t')
+  .replace(/\v/g, '\\v')
+  .replace(/\0/g, '\\0')
+  .replace(/"/g, '\\"')}"`
+
+const toString = (x, seen = []) => {
+  const recur = y => seen.concat([ x ]).includes(y) ? '<Circular>' : toString(y, seen.concat([ x ]))
+  const mapPairs = (object, keys) => keys.slice().sort().map(key => `${quote(key)}: ${recur(object[key])}`)
+
+  switch (Object.prototype.toString.call(x)) {
+    case '[object Arguments]':
+      return `(function() { return arguments; }(${Array.from(x).map(recur).join(', ')}))`
+    case '[object Array]':
+      return `[${x.map(recur).concat(mapPairs(x, Object.keys(x).filter(key => !/^\d+$/.test(key)))).join(', ')}]`
+    case '[object Boolean]':
+      return typeof x === 'object' ? `new Boolean(${recur(x.valueOf())})` : x.toString()
+    case '[object Date]':
+      return `new Date(${isNaN(x.valueOf()) ? recur(NaN) : quote(x.toISOString())})`
+    case '[object Null]':
+      return 'null'
+    case '[object Number]':
+      return typeof x === 'object'
+        ? `new Number(${recur(x.valueOf())})`
+        : 1 / x === -Infinity ? '-0' : x.toString(10)
+    case '[object String]':
+      return typeof x === 'object' ? `new String(${recur(x.valueOf())})` : quote(x)
+    case '[object Undefined]':
+      return 'undefined'
+    default:
+      if (typeof x.toString === 'function') {
+        const representation = x.toString()
+        if (representation !== '[object Object]') {
+          return representation
+        }
+      }
+      return `{${mapPairs(x, Object.keys(x)).join(', ')}}`
+  }
+}
+
+module.exports = value => toString(value)
@@ -1,13 +1,33 @@
-const R = require('ramda')
+const { PreconditionError } = require('./errors')
+
+// Small replacements for the Ramda functions the library uses, so it has no dependencies. Reducer
+// calls go through some of them, so they avoid Ramda's currying and placeholder handling.
+
+const identity = x => x
+module.exports.identity = identity
+
+const alwaysTrue = () => true
+module.exports.alwaysTrue = alwaysTrue
+
+const has = (key, object) => Object.prototype.hasOwnProperty.call(object, key)
+module.exports.has = has
+
+// Like R.curryN, without placeholders: collects arguments until there are at least n of them
+const curryN = (n, f) => {
+  const curried = (...args) => args.length >= n ? f(...args) : curryN(n - args.length, (...rest) => f(...args, ...rest))
+  Object.defineProperty(curried, 'length', { value: n })
+  return curried
+}
+module.exports.curryN = curryN
 
 // Polyfill Array.of
-const arrayOf = R.is(Function, Array.of) ? Array.of : R.unapply(R.identity)
+const arrayOf = typeof Array.of === 'function' ? Array.of : (...args) => args
 module.exports.arrayOf = arrayOf
 
 // Like R.assoc, but respects the property's current enumerability
-const defineProperty = R.curry((prop, value, object) => {
-  const isPropertyEnumerable = R.defaultTo(true)
-  (R.path([ 'enumerable' ], Object.getOwnPropertyDescriptor(object, prop)))
+const defineProperty = curryN(3, (prop, value, object) => {
+  const descriptor = Object.getOwnPropertyDescriptor(object, prop)
+  const isPropertyEnumerable = descriptor === undefined || descriptor.enumerable
 
   Object.defineProperty(object, prop, { value: value, enumerable: isPropertyEnumerable })
   return object
@@ -39,50 +59,79 @@ const functionWithType = (impl, name) => {
   Klass.prototype = Klass
   Object.defineProperty(Klass.prototype, 'constructor', { value: Klass, enumerable: false })
 
-  return defineProperty('name', R.defaultTo(impl.name, name), Klass)
+  return defineProperty('name', name == null ? impl.name : name, Klass)
 }
 module.exports.functionWithType = functionWithType
 
-const isType = R.curry((type, x) => typeof x === type)
+const isType = curryN(2, (type, x) => typeof x === type)
 module.exports.isType = isType
 
-const isFunction = R.either(isType('function'), R.is(Function))
+const isFunction = x => typeof x === 'function' || x instanceof Function
 module.exports.isFunction = isFunction
 
-// Returns a failure message for a must
-const failureMessage = R.either(R.last, R.always('failed precondition'))
+const isNonEmptyString = x => typeof x === 'string' && x.length > 0
+module.exports.isNonEmptyString = isNonEmptyString
 
-// Passes function arguments through a list of predicates specified as tuples of
-// (predicate, failure-message). Calls the function if all the conditions pass.
-// Throws if any condition fails.
-const preconditions = (...conditions) => f => setLength(f.length)(
+// Passes function arguments through a list of conditions created by must(), mustArgument() or
+// mustEachArgument(). Calls the function if all the conditions pass.
+// Throws the condition's error type (by default, PreconditionError) for the first condition that
+// fails. The error has the name of the api, which is optional.
+const preconditionsFor = api => (...conditions) => f => setLength(f.length)(
   (...args) => {
-    const failedCondition = R.find(
-      R.complement(R.pipe(R.head, callWith(...args))), conditions)
-
-    if (failedCondition) {
-      throw new Error(failureMessage(failedCondition))
+    for (const { findFailure, message = 'failed precondition', ErrorType = PreconditionError } of conditions) {
+      const failure = findFailure(args)
+      if (failure) {
+        throw new ErrorType(message, Object.assign({ api }, failure))
+      }
     }
     return f(...args)
   }
 )
+module.exports.preconditionsFor = preconditionsFor
+
+const preconditions = preconditionsFor(undefined)
 module.exports.preconditions = preconditions
 
-// Shorthand for wrapping a predicate and message as a 2-tuple for use as arguments to preconditions
-const must = R.nAry(2, arrayOf)
+// Creates a condition for preconditions() from a predicate that's called with all of the
+// arguments, a failure message and optionally the type of error to throw.
+const must = (predicate, message, ErrorType) => ({
+  findFailure: args => predicate(...args) ? undefined : {},
+  message,
+  ErrorType
+})
 module.exports.must = must
 
+// Like must(), for a predicate that tests the argument at an index.
+// The error has the index and the argument.
+const mustArgument = (index, predicate, message, ErrorType) => ({
+  findFailure: args => predicate(args[index]) ? undefined : { index, value: args[index] },
+  message,
+  ErrorType
+})
+module.exports.mustArgument = mustArgument
+
+// Like must(), for a predicate that tests every argument.
+// The error has the index of the first argument that fails and the argument.
+const mustEachArgument = (predicate, message, ErrorType) => ({
+  findFailure: args => {
+    const index = args.findIndex(arg => !predicate(arg))
+    return index === -1 ? undefined : { index, value: args[index] }
+  },
+  message,
+  ErrorType
+})
+module.exports.mustEachArgument = mustEachArgument
+
 // Predicate that is true if the argument can be used as a key for a plain object
-const isKeyType = R.anyPass([
-  isType('string'), isType('number'), isType('symbol'), isType('boolean'), isType('number')
-])
+const isKeyType = x => [ 'string', 'number', 'symbol', 'boolean' ].includes(typeof x)
 
 // Binds a property of an object to the object (e.g. bindMethod('log')(console)('hello, world') )
+// Partial calls pass the second precondition: the object is checked once it's passed.
 const bindMethod = preconditions(
-  must(R.pipe(R.nthArg(0), isKeyType), 'method must be a valid object key'),
-  must(R.pipe(R.prop, R.is(Function)), 'the property must be a function')
+  mustArgument(0, isKeyType, 'method must be a valid object key'),
+  must((method, ...rest) => rest.length === 0 || isFunction(rest[0][method]), 'the property must be a function')
 )(
-  R.curryN(2, (method, object) => object[method].bind(object))
+  curryN(2, (method, object) => object[method].bind(object))
 )
 module.exports.bindMethod = bindMethod
 
@@ -91,19 +140,254 @@ const getFrom = bindMethod('get')
 module.exports.getFrom = getFrom
 
 // Returns true if the argument is a "plain" object -- one with a null prototype
-const isPlainObject = R.allPass([
-  R.is(Object),
-  R.pipe(
-    Object.getPrototypeOf,
-    R.prop('constructor'),
-    R.either(R.equals(null), R.equals(Object))
-  )
-])
+const isPlainObject = x => {
+  if (!(x instanceof Object) && !(x != null && x.constructor === Object)) {
+    return false
+  }
+
+  const { constructor } = Object.getPrototypeOf(x)
+  return constructor === null || constructor === Object
+}
 module.exports.isPlainObject = isPlainObject
 
-const isUndefined = R.equals(undefined)
+const isUndefined = x => x === undefined
 module.exports.isUndefined = isUndefined
 
+// The type of a value, as reported by R.type (e.g. 'Object', 'Array', 'Null')
+const typeOf = x => Object.prototype.toString.call(x).slice(8, -1)
+
+// Deep equality with the semantics of R.equals: SameValue for primitives, values with an equals()
+// method compare with it, and arrays, objects, Maps, Sets, Dates, RegExps and Errors compare by
+// value. Cyclic structures are equal if their cycles are at the same places.
+const equalsWith = (a, b, stackA, stackB) => {
+  if (Object.is(a, b)) {
+    return true
+  }
+
+  const type = typeOf(a)
+  if (type !== typeOf(b) || a == null || b == null) {
+    return false
+  }
+
+  if (typeof a.equals === 'function' || typeof b.equals === 'function') {
+    return typeof a.equals === 'function' && a.equals(b) &&
+      typeof b.equals === 'function' && b.equals(a)
+  }
+
+  switch (type) {
+    case 'Arguments':
+    case 'Array':
+    case 'Object':
+      if (typeof a.constructor === 'function' && a.constructor.name === 'Promise') {
+        return a === b
+      }
+      break
+    case 'Boolean':
+    case 'Number':
+    case 'String':
+      if (!(typeof a === typeof b && Object.is(a.valueOf(), b.valueOf()))) {
+        return false
+      }
+      break
+    case 'Date':
+      if (!Object.is(a.valueOf(), b.valueOf())) {
+        return false
+      }
+      break
+    case 'Error':
+      return a.name === b.name && a.message === b.message
+    case 'RegExp':
+      if (!(a.source === b.source && a.global === b.global && a.ignoreCase === b.ignoreCase &&
+          a.multiline === b.multiline && a.sticky === b.sticky && a.unicode === b.unicode)) {
+        return false
+      }
+      break
+    case 'Map':
+    case 'Set':
+      if (!equalsWith(Array.from(a.entries()), Array.from(b.entries()), stackA, stackB)) {
+        return false
+      }
+      break
+    case 'Int8Array':
+    case 'Uint8Array':
+    case 'Uint8ClampedArray':
+    case 'Int16Array':
+    case 'Uint16Array':
+    case 'Int32Array':
+    case 'Uint32Array':
+    case 'Float32Array':
+    case 'Float64Array':
+    case 'ArrayBuffer':
+      break
+    default:
+      // Values of other types are only equal if identical
+      return false
+  }
+
+  const keys = Object.keys(a)
+  if (keys.length !== Object.keys(b).length) {
+    return false
+  }
+
+  const cycle = stackA.indexOf(a)
+  if (cycle !== -1) {
+    return stackB[cycle] === b
+  }
+
+  stackA.push(a)
+  stackB.push(b)
+  for (let index = keys.length - 1; index >= 0; index -= 1) {
+    const key = keys[index]
+    if (!(has(key, b) && equalsWith(b[key], a[key], stackA, stackB))) {
+      return false
+    }
+  }
+  stackA.pop()
+  stackB.pop()
+  return true
+}
+const equals = (a, b) => equalsWith(a, b, [], [])
+module.exports.equals = equals
+
+// Like R.where: given an object of predicates, returns a predicate that is true if each of the
+// object's properties passes the predicate with the same key
+const where = spec => {
+  const keys = Object.keys(spec)
+  return object => keys.every(key => spec[key](object[key]))
+}
+module.exports.where = where
+
+// Like R.whereEq: given an object, returns a predicate that is true if each of the object's
+// properties equals the property with the same key
+const whereEq = spec => {
+  const keys = Object.keys(spec)
+  return object => keys.every(key => equals(spec[key], object[key]))
+}
+module.exports.whereEq = whereEq
+
+const isNil = x => x === undefined || x === null
+module.exports.isNil = isNil
+
+// Like R.isEmpty: true for empty arrays, strings and objects, but not for null or undefined
+const isEmpty = x => Array.isArray(x) || typeof x === 'string'
+  ? x.length === 0
+  : typeOf(x) === 'Object' && Object.keys(x).length === 0
+module.exports.isEmpty = isEmpty
+
+// Combine predicates, like R.both, R.either, R.complement and R.allPass
+const both = (f, g) => (...args) => f(...args) && g(...args)
+module.exports.both = both
+
+const either = (f, g) => (...args) => f(...args) || g(...args)
+module.exports.either = either
+
+const complement = f => (...args) => !f(...args)
+module.exports.complement = complement
+
+const allPass = predicates => (...args) => predicates.every(predicate => predicate(...args))
+module.exports.allPass = allPass
+
+// Like R.path: gets the value at a path of keys, or undefined if any part of the path is missing
+const path = (keys, object) => keys.reduce((value, key) => isNil(value) ? undefined : value[key], object)
+module.exports.path = path
+
+// Like R.propSatisfies: tests a property of an object, which is undefined if the object is nil
+const propSatisfies = (predicate, key) => object => predicate(isNil(object) ? undefined : object[key])
+module.exports.propSatisfies = propSatisfies
+
+// Like R.merge: copies the properties of two objects into a new object
+const merge = (a, b) => Object.assign({}, a, b)
+module.exports.merge = merge
+
+// Like R.omit: copies an object without some keys
+const omit = (keys, object) => {
+  const copy = Object.assign({}, object)
+  keys.forEach(key => delete copy[key])
+  return copy
+}
+module.exports.omit = omit
+
+// Like R.mapObjIndexed: maps the values of an object, with their keys
+const mapObject = (f, object) => Object.keys(object).reduce((mapped, key) => {
+  mapped[key] = f(object[key], key, object)
+  return mapped
+}, {})
+module.exports.mapObject = mapObject
+
+// Like R.zipObj: creates an object from arrays of keys and values
+const zipObj = (keys, values) => keys.reduce((object, key, index) => {
+  object[key] = values[index]
+  return object
+}, {})
+module.exports.zipObj = zipObj
+
+// Like R.assocPath: returns a copy of an object with the value at a path of keys set, copying the
+// objects and arrays on the path. Missing parts of the path are created: arrays for integer keys,
+// and objects for other keys.
+const assocPath = (keys, value, object) => {
+  if (keys.length === 0) {
+    return value
+  }
+
+  const [ key, ...rest ] = keys
+  const next = rest.length === 0
+    ? value
+    : assocPath(rest, value, !isNil(object) && has(key, object) ? object[key] : Number.isInteger(rest[0]) ? [] : {})
+  if (Number.isInteger(key) && Array.isArray(object)) {
+    const copy = object.slice()
+    copy[key] = next
+    return copy
+  }
+  return Object.assign({}, object, { [key]: next })
+}
+
+// Lenses that work with Ramda's: a lens is called with a function that wraps a value in a functor,
+// and returns a function from a target to the functor of the target
+const Const = value => ({ value, map () { return this } })
+const Identity = value => ({ value, map: f => Identity(f(value)) })
+
+const lensPath = keys => toFunctor => target =>
+  toFunctor(path(keys, target)).map(focus => assocPath(keys, focus, target))
+module.exports.lensPath = lensPath
+
+// Gets the value that a lens focuses on
+const view = (lens, target) => lens(Const)(target).value
+module.exports.view = view
+
+// Returns a copy of the target with the value that a lens focuses on set
+const set = (lens, value, target) => lens(() => Identity(value))(target).value
+module.exports.set = set
+
+// Like R.clone: deeply copies arrays, objects, Dates and RegExps, and calls the clone() method of
+// values that have one. Other values are kept.
+const clone = (value, copies = new Map()) => {
+  if (!isNil(value) && typeof value.clone === 'function') {
+    return value.clone()
+  }
+  if (copies.has(value)) {
+    return copies.get(value)
+  }
+
+  switch (typeOf(value)) {
+    case 'Date':
+      return new Date(value.valueOf())
+    case 'RegExp':
+      return new RegExp(value.source, value.flags)
+    case 'Array':
+    case 'Object': {
+      const copy = Array.isArray(value) ? [] : {}
+      copies.set(value, copy)
+      for (const key in value) {
+        copy[key] = clone(value[key], copies)
+      }
+      return copy
+    }
+    default:
+      return value
+  }
+}
+module.exports.clone = value => clone(value)
+
 // Log the arguments and return value of a function.
 const inspectFunction = f => setLength(f.length, (...args) => {
   console.log('arguments', args)
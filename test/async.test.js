@@ -0,0 +1,105 @@
+const match = require('../src')
+const R = require('ramda')
+
+describe('async', () => {
+  const pending = requestId => ({ type: 'FETCH_PENDING', meta: { requestId } })
+  const fulfilled = (payload, requestId) => ({ type: 'FETCH_FULFILLED', payload, meta: { requestId } })
+  const rejected = (payload, requestId) => ({ type: 'FETCH_REJECTED', payload, error: true, meta: { requestId } })
+
+  it(`throws if the arguments are invalid`, () => {
+    expect(() => match.async()).toThrow()
+    expect(() => match.async('FETCH', 'handlers')).toThrow()
+    expect(() => match.async('FETCH', { fulfilled: 'string' })).toThrow()
+    expect(() => match.async('FETCH').with({ pending: null })).toThrow()
+  })
+
+  it(`uses the initial state as the default`, () => {
+    expect(match.async('FETCH')(undefined, { type: '@@INIT' })).toEqual(match.async.initialState)
+  })
+
+  it(`tracks the status, data and error of the request`, () => {
+    const matcher = match.async('FETCH')
+    const error = new Error('failed')
+
+    const loading = matcher(match.async.initialState, pending())
+    expect(loading).toEqual(R.merge(match.async.initialState, { status: 'pending' }))
+
+    const loaded = matcher(loading, fulfilled('data'))
+    expect(loaded).toEqual(R.merge(match.async.initialState, { status: 'fulfilled', data: 'data' }))
+
+    const failed = matcher(matcher(loaded, pending()), rejected(error))
+    expect(failed).toEqual(R.merge(match.async.initialState, { status: 'rejected', data: 'data', error }))
+
+    const reloaded = matcher(matcher(failed, pending()), fulfilled('new data'))
+    expect(reloaded).toEqual(R.merge(match.async.initialState, { status: 'fulfilled', data: 'new data' }))
+  })
+
+  it(`returns the state for other actions`, () => {
+    const matcher = match.async('FETCH')
+    const state = matcher(match.async.initialState, pending())
+    expect(matcher(state, { type: 'OTHER_FULFILLED' })).toBe(state)
+  })
+
+  it(`ignores responses to requests other than the latest`, () => {
+    const matcher = match.async('FETCH')
+    const state = R.reduce(matcher, match.async.initialState, [ pending(1), pending(2) ])
+    expect(state.requestId).toBe(2)
+
+    expect(matcher(state, fulfilled('stale', 1))).toBe(state)
+    expect(matcher(state, rejected('stale', 1))).toBe(state)
+    expect(matcher(state, fulfilled('data', 2)).data).toBe('data')
+  })
+
+  it(`accepts handlers for each phase`, () => {
+    const fulfilledHandler = jest.fn((state, action) => R.assoc('items', action.payload, state))
+    const matcher = match.async('FETCH', { fulfilled: fulfilledHandler })
+
+    const state = matcher(match.async.initialState, pending(1))
+    const action = fulfilled([ 1, 2 ], 1)
+    expect(matcher(state, action)).toEqual(R.assoc('items', [ 1, 2 ], state))
+    expect(fulfilledHandler).toBeCalledWith(state, action)
+    expect(matcher(state, fulfilled([ 3 ], 2))).toBe(state)
+  })
+
+  it(`replaces handlers with with()`, () => {
+    const matcher = match.async('FETCH', { fulfilled: R.assoc('fulfilled', true) })
+      .with({ pending: R.assoc('loading', true) })
+
+    const state = matcher(match.async.initialState, pending(1))
+    expect(state.loading).toBe(true)
+    expect(state.requestId).toBe(1)
+    expect(matcher(state, fulfilled('data', 1)).fulfilled).toBe(true)
+  })
+
+  it(`keeps its with() in copies of the Matcher`, () => {
+    const matcher = match.trace(match.async('FETCH'), { onEvent: R.identity })
+      .with({ pending: R.assoc('loading', true) })
+      .with({ rejected: R.assoc('failed', true) })
+
+    expect(match.inspect(matcher).kind).toBe('async')
+
+    const state = matcher(match.async.initialState, pending(1))
+    expect(state.loading).toBe(true)
+    expect(matcher(state, rejected('error', 1)).failed).toBe(true)
+  })
+
+  it(`keeps the earlier handlers in with() on traced copies`, () => {
+    const matcher = match.trace(match.async('FETCH', { pending: R.assoc('loading', true) }), { onEvent: R.identity })
+      .with({})
+
+    expect(matcher(match.async.initialState, pending(1)).loading).toBe(true)
+  })
+
+  it(`keeps the namespace in with() on namespaced copies`, () => {
+    const inNamespace = R.assocPath([ 'meta', 'namespace' ], 'x')
+    const matcher = match.namespaced('x', match.async('FETCH', { pending: R.assoc('loading', true) }))
+      .with({ rejected: R.assoc('failed', true) })
+      .with({})
+
+    expect(matcher(match.async.initialState, pending(1))).toBe(match.async.initialState)
+    const state = matcher(match.async.initialState, inNamespace(pending(1)))
+    expect(state.loading).toBe(true)
+    expect(matcher(state, rejected('error', 1))).toBe(state)
+    expect(matcher(state, inNamespace(rejected('error', 1))).failed).toBe(true)
+  })
+})
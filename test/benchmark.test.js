@@ -0,0 +1,57 @@
+const match = require('../src')
+const R = require('ramda')
+
+// Dispatches a sequence of actions through a counter built with Matchers and through the same
+// counter written as a switch statement, and checks the overhead of the Matchers per dispatch.
+describe('dispatch benchmark', () => {
+  const DISPATCHES = 100000
+
+  // The most overhead per dispatch allowed, in nanoseconds. It's well above the overhead on a
+  // slow machine, so only a regression in the dispatch path fails the test.
+  const MAX_OVERHEAD = 5000
+
+  // The same sequence of actions is dispatched to both reducers: most actions are handled, and
+  // some are ignored, as in an app with several slices of state
+  const actions = R.times(
+    index => ({ type: [ 'INCREMENT', 'DECREMENT', 'RESET', 'OTHER', 'UNRELATED' ][index % 5], amount: 2 }),
+    DISPATCHES
+  )
+
+  const handWritten = (state = 0, action) => {
+    switch (action.type) {
+      case 'INCREMENT': return state + action.amount
+      case 'DECREMENT': return state - 1
+      case 'RESET': return action.amount > 100 ? 0 : state
+      default: return state
+    }
+  }
+
+  const matcher = match.withDefault(0)(match.first(
+    match.plainAction({ type: 'INCREMENT' }).with((state, action) => state + action.amount),
+    match.plainAction({ type: 'DECREMENT' }).with(state => state - 1),
+    match.redux({ type: R.equals('RESET') }).with(
+      match((state, action) => action.amount > 100).with(R.always(0))
+    )
+  ))
+
+  // Returns the final state and the time taken to reduce the actions, in milliseconds
+  const run = reducer => {
+    const start = process.hrtime()
+    const state = actions.reduce((state, action) => reducer(state, action), 0)
+    const [ seconds, nanoseconds ] = process.hrtime(start)
+    return { state, time: seconds * 1e3 + nanoseconds / 1e6 }
+  }
+
+  it(`keeps the overhead of a Matcher per dispatch low`, () => {
+    // Warm up both reducers before timing them
+    run(handWritten)
+    run(matcher)
+
+    const expected = run(handWritten)
+    const result = run(matcher)
+    expect(result.state).toBe(expected.state)
+
+    const overhead = (result.time - expected.time) / DISPATCHES * 1e6
+    expect(overhead).toBeLessThan(MAX_OVERHEAD)
+  })
+})
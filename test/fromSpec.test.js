@@ -0,0 +1,143 @@
+const match = require('../src')
+const R = require('ramda')
+
+describe('fromSpec', () => {
+  const spec = {
+    default: { count: 0, todos: [], visible: true },
+    cases: [
+      { when: { type: 'INCREMENT' }, do: { op: 'increment', path: [ 'count' ] } },
+      { when: { type: 'DECREMENT' }, do: { op: 'increment', path: [ 'count' ], by: -1 } },
+      { when: { type: 'RESET' }, do: { op: 'set', path: [ 'count' ], value: 0 } },
+      {
+        when: { type: 'todos/add' },
+        do: [
+          { op: 'append', path: [ 'todos' ], from: [ 'payload' ] },
+          { op: 'increment', path: [ 'count' ] }
+        ]
+      },
+      { when: { type: 'TOGGLE', hidden: true }, do: { op: 'toggle', path: [ 'visible' ] } }
+    ]
+  }
+
+  // Reduces some actions from the initial state
+  const reduceActions = (matcher, actions) => R.reduce(matcher, matcher(undefined, { type: '@@INIT' }), actions)
+
+  it(`builds a Matcher from a spec`, () => {
+    const state = reduceActions(match.fromSpec(spec), [
+      { type: 'INCREMENT' },
+      { type: 'INCREMENT' },
+      { type: 'DECREMENT' },
+      { type: 'todos/add', payload: 'Write tests' },
+      { type: 'TOGGLE', hidden: false }
+    ])
+    expect(state).toEqual({ count: 2, todos: [ 'Write tests' ], visible: true })
+  })
+
+  it(`builds a tree of first, plainAction and withDefault Matchers`, () => {
+    const { kind, defaultValue, children } = match.inspect(match.fromSpec(spec))
+    expect(kind).toBe(match.kinds.WITH_DEFAULT)
+    expect(defaultValue).toEqual(spec.default)
+    expect(children[0].kind).toBe(match.kinds.FIRST)
+    expect(children[0].children).toHaveLength(spec.cases.length)
+  })
+
+  it(`returns the state itself for unhandled actions`, () => {
+    const matcher = match.fromSpec(spec)
+    const state = matcher(undefined, { type: '@@INIT' })
+    expect(matcher(state, { type: 'UNKNOWN' })).toBe(state)
+    expect(matcher(state, { type: 'RESET' })).toBe(state)
+  })
+
+  it(`accepts type patterns in the conditions`, () => {
+    const matcher = match.fromSpec({
+      cases: [ { when: { type: [ 'todos/*', 'ADD' ] }, do: { op: 'increment' } } ]
+    })
+    expect(R.reduce(matcher, 0, [ { type: 'ADD' }, { type: 'todos/remove' }, { type: 'REMOVE' } ])).toBe(2)
+  })
+
+  it(`uses custom operations`, () => {
+    const matcher = match.fromSpec({
+      default: [],
+      cases: [ { when: { type: 'REMOVE' }, do: { op: 'remove', from: [ 'id' ] } } ]
+    }, {
+      operations: {
+        remove: ({ from }) => (state, action) => R.reject(R.equals(R.path(from, action)), state)
+      }
+    })
+    expect(matcher([ 1, 2, 3 ], { type: 'REMOVE', id: 2 })).toEqual([ 1, 3 ])
+  })
+
+  it(`throws SpecErrors with the path to the invalid part of the spec`, () => {
+    const errorFor = (spec, options) => {
+      try {
+        match.fromSpec(spec, options)
+      } catch (error) {
+        return error
+      }
+    }
+
+    const unknownOperation = errorFor({ cases: [ { when: { type: 'A' }, do: [ { op: 'incremnt' } ] } ] })
+    expect(unknownOperation).toBeInstanceOf(match.SpecError)
+    expect(unknownOperation).toBeInstanceOf(match.PreconditionError)
+    expect(unknownOperation.path).toEqual([ 'cases', 0, 'do', 0, 'op' ])
+    expect(unknownOperation.message).toBe(
+      'match.fromSpec: unknown operation (expected one of set, increment, append, toggle) ' +
+      'at spec.cases[0].do[0].op (received "incremnt")'
+    )
+
+    expect(errorFor({ cases: [] }).path).toEqual([ 'cases' ])
+    expect(errorFor({ case: [] }).path).toEqual([ 'case' ])
+    expect(errorFor({ cases: [ { when: 'A', do: { op: 'toggle' } } ] }).path).toEqual([ 'cases', 0, 'when' ])
+    expect(errorFor({ cases: [ { when: {}, do: [] } ] }).path).toEqual([ 'cases', 0, 'do' ])
+    expect(errorFor({ cases: [ { when: {}, do: { op: 'toggle', path: 'a.b' } } ] }).path)
+      .toEqual([ 'cases', 0, 'do', 'path' ])
+    expect(errorFor({ cases: [ { when: {}, do: { op: 'set', value: new Date() } } ] }).path)
+      .toEqual([ 'cases', 0, 'do', 'value' ])
+    expect(errorFor({ cases: [ { when: {}, do: { op: 'set', value: undefined } } ] }).path)
+      .toEqual([ 'cases', 0, 'do', 'value' ])
+
+    // Errors thrown by operations point to the operation
+    const invalidArgument = errorFor({ cases: [ { when: {}, do: { op: 'increment', by: '1' } } ] })
+    expect(invalidArgument.path).toEqual([ 'cases', 0, 'do' ])
+    expect(invalidArgument.message).toMatch(/^match\.fromSpec: by must be a number at spec\.cases\[0\]\.do /)
+    expect(errorFor({ cases: [ { when: {}, do: { op: 'set' } } ] }).message).toMatch(/set needs a value or a from path/)
+    expect(errorFor({ cases: [ { when: {}, do: { op: 'custom' } } ] }, { operations: { custom: () => 'reducer' } }).path)
+      .toEqual([ 'cases', 0, 'do' ])
+
+    expect(() => match.fromSpec(spec, { operations: { custom: 'reducer' } })).toThrow(match.PreconditionError)
+  })
+
+  it(`doesn't change the built-in operations`, () => {
+    match.fromSpec(spec, { operations: { set: () => R.identity } })
+    expect(Object.isFrozen(match.fromSpec.operations)).toBe(true)
+    expect(R.keys(match.fromSpec.operations)).toEqual([ 'set', 'increment', 'append', 'toggle' ])
+  })
+})
+
+describe('toSpec', () => {
+  const spec = {
+    default: 0,
+    cases: [ { when: { type: 'INCREMENT' }, do: { op: 'increment' } } ]
+  }
+
+  it(`returns the spec of a Matcher built by fromSpec`, () => {
+    const json = JSON.stringify(match.toSpec(match.fromSpec(spec)))
+    expect(JSON.parse(json)).toEqual(spec)
+
+    const rebuilt = match.fromSpec(JSON.parse(json))
+    expect(rebuilt(1, { type: 'INCREMENT' })).toBe(2)
+  })
+
+  it(`returns a copy of the spec`, () => {
+    const copy = R.clone(spec)
+    const matcher = match.fromSpec(copy)
+    copy.default = 10
+    match.toSpec(matcher).cases.pop()
+    expect(match.toSpec(matcher)).toEqual(spec)
+  })
+
+  it(`throws for Matchers that weren't built by fromSpec`, () => {
+    expect(() => match.toSpec(match.always(R.identity))).toThrow(match.PreconditionError)
+    expect(() => match.toSpec()).toThrow('match.toSpec: argument must be a Matcher built by match.fromSpec')
+  })
+})
@@ -0,0 +1,153 @@
+const match = require('../src')
+const R = require('ramda')
+
+describe('history', () => {
+  const { undoType, redoType, clearType } = match.history.types
+  const undo = { type: undoType }
+  const redo = { type: redoType }
+  const clear = { type: clearType }
+
+  const counter = match.withDefault(0)(match.first(
+    match.plainAction({ type: 'INCREMENT' }).with(R.inc),
+    match.plainAction({ type: 'SET' }).with((state, action) => action.value)
+  ))
+  const increment = { type: 'INCREMENT' }
+  const set = value => ({ type: 'SET', value })
+
+  // Reduces some actions from the initial state
+  const reduceActions = (matcher, actions) => R.reduce(matcher, matcher(undefined, { type: '@@INIT' }), actions)
+
+  it(`throws if the arguments are invalid`, () => {
+    expect(() => match.history()).toThrow(match.MatcherTypeError)
+    expect(() => match.history(counter, 'options')).toThrow(match.PreconditionError)
+    expect(() => match.history(counter, { limit: 0 })).toThrow()
+    expect(() => match.history(counter, { limit: 1.5 })).toThrow()
+    expect(() => match.history(counter, { filter: true })).toThrow()
+    expect(() => match.history(counter, { groupBy: 'type' })).toThrow()
+    expect(() => match.history(counter).with('counter')).toThrow(match.MatcherTypeError)
+  })
+
+  it(`uses the Matcher's default as the initial present`, () => {
+    expect(match.history(counter)(undefined, { type: '@@INIT' })).toEqual({ past: [], present: 0, future: [] })
+  })
+
+  it(`records the changes to the present`, () => {
+    const state = reduceActions(match.history(counter), [ increment, increment, set(5) ])
+    expect(state).toEqual({ past: [ 0, 1, 2 ], present: 5, future: [] })
+  })
+
+  it(`returns the state itself for actions that don't change the present`, () => {
+    const history = match.history(counter)
+    const state = reduceActions(history, [ increment, set(3) ])
+    expect(history(state, { type: 'OTHER' })).toBe(state)
+    expect(history(state, set(3))).toBe(state)
+  })
+
+  it(`undoes and redoes changes`, () => {
+    const history = match.history(counter)
+    const state = reduceActions(history, [ increment, set(5), undo ])
+    expect(state).toEqual({ past: [ 0 ], present: 1, future: [ 5 ] })
+    expect(history(state, redo)).toEqual({ past: [ 0, 1 ], present: 5, future: [] })
+    expect(reduceActions(history, [ increment, set(5), undo, undo ])).toEqual({ past: [], present: 0, future: [ 1, 5 ] })
+  })
+
+  it(`ignores undo and redo without a past or future`, () => {
+    const history = match.history(counter)
+    const state = history(undefined, { type: '@@INIT' })
+    expect(history(state, undo)).toBe(state)
+    expect(history(state, redo)).toBe(state)
+  })
+
+  it(`clears the future when the present changes`, () => {
+    const state = reduceActions(match.history(counter), [ increment, increment, undo, set(7) ])
+    expect(state).toEqual({ past: [ 0, 1 ], present: 7, future: [] })
+  })
+
+  it(`clears the past and future`, () => {
+    const history = match.history(counter)
+    const state = reduceActions(history, [ increment, increment, undo ])
+    expect(history(state, clear)).toEqual({ past: [], present: 1, future: [] })
+  })
+
+  it(`keeps the last past states up to the limit`, () => {
+    const state = reduceActions(match.history(counter, { limit: 2 }), [ increment, increment, increment ])
+    expect(state).toEqual({ past: [ 1, 2 ], present: 3, future: [] })
+  })
+
+  it(`uses the action types in the options`, () => {
+    const history = match.history(counter, { undoType: 'UNDO', redoType: 'REDO' })
+    const state = reduceActions(history, [ increment, { type: 'UNDO' } ])
+    expect(state).toEqual({ past: [], present: 0, future: [ 1 ] })
+    expect(history(state, undo)).toBe(state)
+    expect(history(state, { type: 'REDO' }).present).toBe(1)
+  })
+
+  it(`updates the present without recording changes the filter rejects`, () => {
+    const filter = jest.fn(action => action.type !== 'SET')
+    const history = match.history(counter, { filter })
+    const state = reduceActions(history, [ increment, set(5), increment ])
+
+    expect(state).toEqual({ past: [ 0, 5 ], present: 6, future: [] })
+    expect(filter).toBeCalledWith(set(5), 5, 1)
+  })
+
+  it(`collapses consecutive changes in the same group into one step`, () => {
+    const groupBy = jest.fn(action => action.group)
+    const history = match.history(counter, { groupBy })
+    const state = reduceActions(history, [
+      R.merge(increment, { group: 'a' }),
+      R.merge(increment, { group: 'a' }),
+      R.merge(increment, { group: 'b' }),
+      increment,
+      increment,
+    ])
+
+    expect(state).toEqual({ past: [ 0, 2, 3, 4 ], present: 5, future: [] })
+    expect(history(state, undo).present).toBe(4)
+    expect(groupBy).toBeCalledWith(R.merge(increment, { group: 'a' }), 1, 0)
+  })
+
+  it(`starts a new group after an undo`, () => {
+    const history = match.history(counter, { groupBy: R.prop('type') })
+    const state = reduceActions(history, [ increment, increment, undo, increment ])
+    expect(state).toEqual({ past: [ 0 ], present: 1, future: [] })
+  })
+
+  it(`replaces the Matcher with with() and keeps the options`, () => {
+    const history = match.history(counter, { limit: 1 }).with(match.withDefault(10)(counter))
+    expect(match.inspect(history).kind).toBe('history')
+    expect(reduceActions(history, [ increment, increment ])).toEqual({ past: [ 11 ], present: 12, future: [] })
+  })
+
+  it(`describes the Matcher as its child`, () => {
+    expect(match.inspect(match.history(counter)).children.map(R.prop('matcher'))).toEqual([ counter ])
+    expect(match.inspect(match.history(R.identity)).children).toEqual([])
+    expect(match.inspect(match.history(counter).with(R.identity)).children).toEqual([])
+  })
+
+  it(`namespaces the Matcher with match.namespaced`, () => {
+    const history = match.namespaced('a', match.history(counter))
+    const namespaced = R.assocPath([ 'meta', 'namespace' ], 'a', increment)
+    expect(match.inspect(history).kind).toBe('history')
+    expect(reduceActions(history, [ increment ])).toEqual({ past: [], present: 0, future: [] })
+    expect(reduceActions(history, [ namespaced, undo ])).toEqual({ past: [], present: 0, future: [ 1 ] })
+  })
+
+  it(`traces the Matcher's conditions and reducers`, () => {
+    const onEvent = jest.fn()
+    const history = match.trace(match.history(counter), { onEvent })
+    expect(reduceActions(history, [ increment ])).toEqual({ past: [ 0 ], present: 1, future: [] })
+    expect(onEvent).toBeCalledWith(expect.objectContaining({ type: 'reducer', path: [ 0, 0, 0 ], before: 0, after: 1 }))
+  })
+
+  it(`replaces a descendant of the Matcher with match.replace`, () => {
+    const history = match.replace(match.history(counter, { limit: 1 }), [ 0, 0, 0 ], match.plainAction({ type: 'INCREMENT' }).with(R.add(2)))
+    expect(match.inspect(history).options).toEqual({ limit: 1 })
+    expect(reduceActions(history, [ increment, increment ])).toEqual({ past: [ 2 ], present: 4, future: [] })
+  })
+
+  it(`works inside match.withDefault`, () => {
+    const history = match.withDefault({ past: [ 1 ], present: 2, future: [] })(match.history(counter))
+    expect(reduceActions(history, [ undo ])).toEqual({ past: [], present: 1, future: [ 2 ] })
+  })
+})
@@ -0,0 +1,27 @@
+const match = require('../src')
+
+describe('index', () => {
+  it(`exports match with the builders attached`, () => {
+    expect(match).toBe(require('../src/reducer'))
+    expect(match.slice).toBe(require('../src/slice'))
+    expect(match.async).toBe(require('../src/async'))
+    expect(match.history).toBe(require('../src/history'))
+  })
+
+  it(`exports properties that can be called without match`, () => {
+    const { first, plainAction, withDefault } = match
+    const increment = plainAction({ type: 'INCREMENT' }).with(state => state + 1)
+    const counter = withDefault(0)(first(increment))
+    expect(counter(undefined, { type: '@@INIT' })).toBe(0)
+    expect(counter(1, { type: 'INCREMENT' })).toBe(2)
+  })
+
+  it(`loads without ramda`, () => {
+    jest.resetModules()
+    jest.doMock('ramda', () => { throw new Error('ramda is not a dependency') })
+
+    expect(() => require('../src')).not.toThrow()
+    expect(() => require('../src/testing')).not.toThrow()
+    expect(() => require('../src/redux')).not.toThrow()
+  })
+})
@@ -0,0 +1,133 @@
+const match = require('../src')
+const R = require('ramda')
+
+describe('machine', () => {
+  const config = {
+    initial: 'idle',
+    context: { retries: 0, data: null },
+    states: {
+      idle: { on: { FETCH: 'loading' } },
+      loading: {
+        on: {
+          SUCCESS: { target: 'success', with: (context, action) => R.assoc('data', action.payload, context) },
+          FAILURE: 'error'
+        }
+      },
+      success: { on: { FETCH: 'loading' } },
+      error: {
+        on: {
+          RETRY: [
+            { target: 'loading', guard: { retries: retries => retries < 2 }, with: R.evolve({ retries: R.inc }) },
+            { target: 'failed' }
+          ]
+        }
+      },
+      failed: {}
+    }
+  }
+  const fetch = match.machine(config)
+
+  // Reduces the actions of some types from the initial state
+  const reduceTypes = (matcher, types) => R.reduce(
+    (state, type) => matcher(state, { type, payload: type.toLowerCase() }),
+    matcher(undefined, { type: '@@INIT' }),
+    types
+  )
+
+  it(`throws if the config is invalid`, () => {
+    expect(() => match.machine()).toThrow(match.PreconditionError)
+    expect(() => match.machine({ initial: 'idle', states: {} })).toThrow('states must be a non-empty object')
+    expect(() => match.machine({ initial: 'idle', states: { idle: { on: { FETCH: 1 } } } })).toThrow('states must be')
+    expect(() => match.machine({ initial: 'idle', states: { idle: { on: { FETCH: [] } } } })).toThrow('states must be')
+    expect(() => match.machine({ initial: 'idle', states: { idle: { on: { FETCH: { guard: 'loading' } } } } }))
+      .toThrow('states must be')
+    expect(() => match.machine(R.assoc('initial', 'done', config))).toThrow('initial must be one of the states')
+    expect(() => match.machine(R.assocPath([ 'states', 'idle', 'on', 'FETCH' ], 'fetching', config)))
+      .toThrow('the targets of the transitions must be states')
+    expect(() => match.machine(R.assoc('onInvalid', 'warn', config))).toThrow('onInvalid must be')
+    expect(() => fetch.with('config')).toThrow('match.machine().with: argument must be a config object')
+    expect(() => fetch.with({ initial: 'done' })).toThrow('match.machine().with: initial must be one of the states')
+  })
+
+  it(`starts in the initial state with the initial context`, () => {
+    expect(fetch(undefined, { type: 'FETCH' })).toEqual({ value: 'idle', context: { retries: 0, data: null } })
+  })
+
+  it(`takes the transitions for the actions`, () => {
+    expect(reduceTypes(fetch, [ 'FETCH', 'SUCCESS' ])).toEqual({ value: 'success', context: { retries: 0, data: 'success' } })
+    expect(reduceTypes(fetch, [ 'FETCH', 'FAILURE' ]).value).toBe('error')
+  })
+
+  it(`takes the first transition whose guard is true`, () => {
+    expect(reduceTypes(fetch, [ 'FETCH', 'FAILURE', 'RETRY' ])).toEqual({ value: 'loading', context: { retries: 1, data: null } })
+    expect(reduceTypes(fetch, [ 'FETCH', 'FAILURE', 'RETRY', 'FAILURE', 'RETRY', 'FAILURE', 'RETRY' ]))
+      .toEqual({ value: 'failed', context: { retries: 2, data: null } })
+  })
+
+  it(`calls guards and with() with the context, the action and any other arguments`, () => {
+    const guard = jest.fn(R.T)
+    const update = jest.fn(R.identity)
+    const machine = match.machine({
+      initial: 'a',
+      context: 'context',
+      states: { a: { on: { NEXT: { target: 'b', guard, with: update } } }, b: {} }
+    })
+    const action = { type: 'NEXT' }
+    machine(machine(undefined, action), action, 'extra')
+    expect(guard).toHaveBeenCalledWith('context', action, 'extra')
+    expect(update).toHaveBeenCalledWith('context', action, 'extra')
+  })
+
+  it(`stays in the current state for transitions without a target`, () => {
+    const counter = match.machine({
+      initial: 'counting',
+      context: 0,
+      states: { counting: { on: { INCREMENT: { with: R.inc } } } }
+    })
+    expect(reduceTypes(counter, [ 'INCREMENT', 'INCREMENT' ])).toEqual({ value: 'counting', context: 2 })
+  })
+
+  it(`returns the state itself if nothing changes`, () => {
+    const state = reduceTypes(fetch, [ 'FETCH' ])
+    expect(fetch(state, { type: 'OTHER' })).toBe(state)
+    expect(fetch(state, { type: 'FETCH' })).toBe(state)
+    expect(fetch(state)).toBe(state)
+
+    const unchanged = match.machine({ initial: 'a', states: { a: { on: { NOOP: 'a' } } } })
+    const initial = unchanged(undefined, {})
+    expect(unchanged(initial, { type: 'NOOP' })).toBe(initial)
+  })
+
+  it(`handles actions that aren't valid in the current state with onInvalid`, () => {
+    const idle = fetch(undefined, { type: '@@INIT' })
+    const success = { type: 'SUCCESS', payload: 'data' }
+
+    expect(fetch.with({ onInvalid: 'ignore' })(idle, success)).toBe(idle)
+    expect(() => fetch.with({ onInvalid: 'throw' })(idle, success))
+      .toThrow(`match.machine: action "SUCCESS" isn't valid in state "idle"`)
+
+    const onInvalid = jest.fn((state, action) => R.assocPath([ 'context', 'invalid' ], action.type, state))
+    expect(fetch.with({ onInvalid })(idle, success, 'extra').context.invalid).toBe('SUCCESS')
+    expect(onInvalid).toHaveBeenCalledWith(idle, success, 'extra')
+
+    // Actions whose guards are all false are invalid too
+    const guarded = match.machine({ initial: 'a', states: { a: { on: { NEXT: { guard: R.F } } } }, onInvalid: 'throw' })
+    expect(() => guarded(guarded(undefined, {}), { type: 'NEXT' })).toThrow(`action "NEXT" isn't valid in state "a"`)
+
+    // Actions without transitions in any state are never invalid
+    expect(guarded(guarded(undefined, {}), { type: 'OTHER' })).toEqual({ value: 'a', context: undefined })
+  })
+
+  it(`replaces parts of the config with with()`, () => {
+    const fromError = fetch.with({ initial: 'error' })
+    expect(match.inspect(fromError).kind).toBe('machine')
+    expect(reduceTypes(fromError, [ 'RETRY' ]).value).toBe('loading')
+    expect(reduceTypes(fromError.with({ context: { retries: 2 } }), [ 'RETRY' ]).value).toBe('failed')
+  })
+
+  it(`keeps the config in with() on traced copies`, () => {
+    const traced = match.trace(fetch, { onEvent: R.identity }).with({ onInvalid: 'throw' })
+    expect(match.inspect(traced).config.initial).toBe(match.inspect(fetch).config.initial)
+    expect(() => reduceTypes(traced, [ 'SUCCESS' ])).toThrow(`action "SUCCESS" isn't valid`)
+  })
+})
@@ -100,6 +100,132 @@ describe('first', () => {
   })
 })
 
+describe('first action type index', () => {
+  // Copies a Matcher with a condition that can't be indexed, so match.first scans it linearly
+  const unindexed = matcher => {
+    const { condition, reducer } = match.inspect(matcher)
+    return match((...args) => condition(...args)).with(reducer)
+  }
+
+  const matchers = [
+    match.plainAction({ type: 'a' }).with(R.append('a')),
+    match((state, action) => action && action.priority).with(R.append('priority')),
+    match.plainAction({ type: 'b', id: 1 }).with(R.append('b1')),
+    match.plainAction({ type: 'b' }).with(R.append('b')),
+    match.plainAction({ type: Symbol.for('c') }).with(R.append('c')),
+    match.plainAction({ id: 2 }).with(R.append('id2')),
+  ]
+
+  it(`uses the same Matcher as a linear scan`, () => {
+    const indexed = match.first(...matchers)
+    const linear = match.first(...R.map(unindexed, matchers))
+
+    const actions = [
+      { type: 'a' },
+      { type: 'a', priority: true },
+      { type: 'b' },
+      { type: 'b', id: 1 },
+      { type: 'b', id: 2 },
+      { type: Symbol.for('c') },
+      { type: 'd' },
+      { type: 'd', id: 2 },
+      { type: new String('a') },
+      { id: 2 },
+      {},
+      'string',
+    ]
+
+    actions.forEach(action => {
+      expect(indexed([], action)).toEqual(linear([], action))
+    })
+
+    expect(() => linear([], undefined)).toThrow()
+    expect(() => indexed([], undefined)).toThrow()
+  })
+
+  it(`doesn't call the conditions of Matchers for other action types`, () => {
+    const onEvent = jest.fn()
+    const genericCondition = jest.fn(R.F)
+    const matcher = match.trace(match.first(
+      match.plainAction({ type: 'a' }).with(R.always('a')),
+      match(genericCondition),
+      match.plainAction({ type: 'b' }).with(R.always('b'))
+    ), { onEvent })
+
+    const action = { type: 'b' }
+    expect(matcher('state', action)).toBe('b')
+    expect(genericCondition).toBeCalledWith('state', action)
+
+    const conditionPaths = R.pipe(
+      R.map(R.head),
+      R.filter(R.propEq('type', 'condition')),
+      R.map(R.prop('path'))
+    )(onEvent.mock.calls)
+    expect(conditionPaths).toEqual([ [], [ 1 ], [ 2 ] ])
+  })
+
+  it(`keeps the order of Matchers without literal action types`, () => {
+    const matcher = match.first(
+      match(R.T).with(R.always('generic')),
+      match.plainAction({ type: 'a' }).with(R.always('a'))
+    )
+
+    expect(matcher('state', { type: 'a' })).toBe('generic')
+    expect(matcher('state', null)).toBe('generic')
+  })
+})
+
+describe('all', () => {
+  it('throws if the arguments are non-Matchers', () => {
+    expect(() => match.all()).toThrow()
+    expect(() => match.all('foo')).toThrow()
+    expect(() => match.all(match(R.T), R.identity)).toThrow()
+  })
+
+  it(`passes the state through the reducer of every matching Matcher in order`, () => {
+    const firstReducer = jest.fn(R.add(1))
+    const skippedReducer = jest.fn()
+    const lastReducer = jest.fn(R.multiply(2))
+    const matcher = match.all(
+      match(R.T).with(firstReducer),
+      match(R.F).with(skippedReducer),
+      match(R.T).with(lastReducer)
+    )
+
+    const action = {}
+    expect(matcher(1, action)).toBe(4)
+    expect(firstReducer).toBeCalledWith(1, action)
+    expect(skippedReducer).not.toBeCalled()
+    expect(lastReducer).toBeCalledWith(2, action)
+  })
+
+  it(`tests each condition against the state returned by the previous reducer`, () => {
+    const condition = jest.fn(R.equals(2))
+    const matcher = match.all(
+      match(R.T).with(R.add(1)),
+      match(condition).with(R.add(10))
+    )
+
+    expect(matcher(1)).toBe(12)
+    expect(condition).toBeCalledWith(2)
+  })
+
+  it(`returns the state when no Matchers match`, () => {
+    const matcher = match.all(
+      match(R.F).with(R.always(NaN)),
+      match(R.F).with(R.always(NaN))
+    )
+
+    const state = {}
+    expect(matcher(state, {})).toBe(state)
+  })
+
+  it(`returns a Matcher with a new reducer when with() is called`, () => {
+    const matcher = match.all(match(R.T).with(R.add(1)))
+    expect(matcher.with(R.add(5))(1)).toBe(6)
+  })
+})
+
 describe('withDefault', () => {
   it(`returns the default value if the state is undefined`, () => {
     const defaultValue = Symbol.for('value')
@@ -128,6 +254,356 @@ describe('withDefault', () => {
     expect(trueCondition).toBeCalledWith(value)
     expect(trueReducer).toBeCalledWith(value)
   })
+
+  it(`keeps the default value when with() replaces the reducer`, () => {
+    const defaultMatcher = match.withDefault(1)(match(R.T).with(R.inc)).with(state => state * 2)
+
+    expect(defaultMatcher(undefined, {})).toBe(1)
+    expect(defaultMatcher(3, {})).toBe(6)
+    expect(match.inspect(defaultMatcher)).toMatchObject({ kind: 'withDefault', defaultValue: 1 })
+  })
+
+  it(`describes the Matcher passed to with() as its child`, () => {
+    const child = match(R.T).with(R.inc)
+    const description = match.inspect(match.withDefault(0)(R.identity).with(child))
+
+    expect(description.children.map(R.prop('matcher'))).toEqual([ child ])
+  })
+})
+
+describe('at', () => {
+  const state = {
+    todos: [
+      { text: 'a', done: false },
+      { text: 'b', done: false },
+    ],
+    filter: 'all',
+  }
+  const toggle = match.plainAction({ type: 'toggle' }).with(R.not)
+
+  it(`throws if the path isn't an array or lens`, () => {
+    expect(() => match.at('todos')).toThrow()
+    expect(() => match.at(null)).toThrow()
+    expect(() => match.at([ 'todos' ])(null)).toThrow()
+  })
+
+  it(`passes the focused state to the condition and reducer`, () => {
+    const condition = jest.fn(R.T)
+    const reducer = jest.fn(R.always(true))
+    const matcher = match.at([ 'todos', 1, 'done' ])(match(condition).with(reducer))
+
+    const action = { type: 'toggle' }
+    matcher(state, action)
+    expect(condition).toBeCalledWith(false, action)
+    expect(reducer).toBeCalledWith(false, action)
+  })
+
+  it(`sets the result in a copy of the state`, () => {
+    const matcher = match.at([ 'todos', 1, 'done' ])(toggle)
+    const result = matcher(state, { type: 'toggle' })
+
+    expect(result).toEqual({
+      todos: [
+        { text: 'a', done: false },
+        { text: 'b', done: true },
+      ],
+      filter: 'all',
+    })
+    expect(result.todos).toBeInstanceOf(Array)
+    expect(result.todos[0]).toBe(state.todos[0])
+    expect(state.todos[1].done).toBe(false)
+  })
+
+  it(`returns the state if the focused state doesn't change`, () => {
+    const matcher = match.at([ 'todos', 1, 'done' ])(toggle)
+    expect(matcher(state, { type: 'other' })).toBe(state)
+    expect(match.at([ 'todos' ])(R.identity)(state)).toBe(state)
+  })
+
+  it(`sets the result in a new object if the state is undefined or null`, () => {
+    const counter = match.withDefault(0)(match.plainAction({ type: 'inc' }).with(R.inc))
+    const matcher = match.at([ 'stats', 'count' ])(counter)
+
+    expect(matcher(undefined, { type: '@@redux/INIT' })).toEqual({ stats: { count: 0 } })
+    expect(matcher(null, { type: 'inc' })).toEqual({ stats: { count: 0 } })
+    expect(match.at([ 'count' ])(R.identity)(undefined, {})).toBeUndefined()
+  })
+
+  it(`composes with match.at and Ramda lenses`, () => {
+    const nested = match.at([ 'todos' ])(match.at([ 1 ])(match.at(R.lensProp('done'))(toggle)))
+    const lens = match.at(R.compose(R.lensProp('todos'), R.lensIndex(1), R.lensProp('done')))(toggle)
+
+    const action = { type: 'toggle' }
+    expect(nested(state, action)).toEqual(match.at([ 'todos', 1, 'done' ])(toggle)(state, action))
+    expect(lens(state, action)).toEqual(nested(state, action))
+  })
+
+  it(`describes the path and the scoped Matcher`, () => {
+    const path = [ 'todos' ]
+    const description = match.inspect(match.at(path)(toggle))
+
+    expect(description.kind).toBe('at')
+    expect(description.path).toBe(path)
+    expect(description.children[0].matcher).toBe(toggle)
+  })
+})
+
+describe('each', () => {
+  const toggle = match.plainAction({ type: 'toggle' }).with(R.evolve({ done: R.not }))
+
+  it(`throws if the argument is a non-Function`, () => {
+    expect(() => match.each(undefined)).toThrow()
+    expect(() => match.each({})).toThrow()
+  })
+
+  it(`calls the Matcher with each element, the action and the index or key`, () => {
+    const reducer = jest.fn(R.identity)
+    const action = { type: 'toggle' }
+
+    match.each(reducer)([ 'a', 'b' ], action)
+    expect(reducer).toBeCalledWith('a', action, 0)
+    expect(reducer).toBeCalledWith('b', action, 1)
+
+    reducer.mockClear()
+    match.each(reducer)({ x: 'a', y: 'b' }, action)
+    expect(reducer).toBeCalledWith('a', action, 'x')
+    expect(reducer).toBeCalledWith('b', action, 'y')
+  })
+
+  it(`passes any other arguments after the index or key`, () => {
+    const reducer = jest.fn(R.identity)
+    const action = { type: 'toggle' }
+
+    match.each(reducer)([ 'a' ], action, 'other')
+    expect(reducer).toBeCalledWith('a', action, 0, 'other')
+
+    reducer.mockClear()
+    const root = match.combine({ todos: match.each(reducer) })
+    const state = { todos: [ 'a' ] }
+    root(state, action)
+    expect(reducer.mock.calls[0][3]).toEqual({ root: state, parent: state })
+  })
+
+  it(`returns a copy of the collection with the results`, () => {
+    const todos = [ { done: false }, { done: true } ]
+    const result = match.each(toggle)(todos, { type: 'toggle' })
+    expect(result).toEqual([ { done: true }, { done: false } ])
+    expect(result).toBeInstanceOf(Array)
+
+    const todosById = { a: { done: false }, b: { done: true } }
+    expect(match.each(toggle)(todosById, { type: 'toggle' })).toEqual({
+      a: { done: true },
+      b: { done: false },
+    })
+  })
+
+  it(`returns the collection if no element changes`, () => {
+    const todos = [ { done: false }, { done: true } ]
+    const todosById = { a: { done: false }, b: { done: true } }
+
+    expect(match.each(toggle)(todos, { type: 'other' })).toBe(todos)
+    expect(match.each(toggle)(todosById, { type: 'other' })).toBe(todosById)
+  })
+})
+
+describe('where', () => {
+  const todos = [ { id: 1, done: false }, { id: 2, done: false }, { id: 3, done: false } ]
+  const todosById = R.indexBy(R.prop('id'), todos)
+  const toggle = match.plainAction({ type: 'toggle' }).with(R.evolve({ done: R.not }))
+
+  it(`only updates the elements selected by the predicate`, () => {
+    const predicate = jest.fn((todo, action) => todo.id === action.id)
+    const matcher = match.where(predicate)(toggle)
+    const action = { type: 'toggle', id: 2 }
+
+    const result = matcher(todos, action)
+    expect(result).toEqual([ todos[0], { id: 2, done: true }, todos[2] ])
+    expect(result[0]).toBe(todos[0])
+    expect(predicate).toBeCalledWith(todos[0], action, 0)
+
+    expect(matcher(todosById, action)).toEqual(R.merge(todosById, { 2: { id: 2, done: true } }))
+    expect(predicate).toBeCalledWith(todosById[1], action, '1')
+  })
+
+  it(`passes any other arguments to the predicate and the Matcher`, () => {
+    const predicate = jest.fn(R.T)
+    const reducer = jest.fn(R.identity)
+    const action = { type: 'toggle' }
+
+    match.where(predicate)(reducer)(todos, action, 'other')
+    expect(predicate).toBeCalledWith(todos[0], action, 0, 'other')
+    expect(reducer).toBeCalledWith(todos[0], action, 0, 'other')
+  })
+
+  it(`selects the elements with an id`, () => {
+    const matcher = match.where(3)(toggle)
+    expect(matcher(todos, { type: 'toggle' })[2]).toEqual({ id: 3, done: true })
+    expect(matcher(todosById, { type: 'toggle' })[3]).toEqual({ id: 3, done: true })
+  })
+
+  it(`returns the collection if no element changes`, () => {
+    expect(match.where(4)(toggle)(todos, { type: 'toggle' })).toBe(todos)
+    expect(match.where(R.T)(toggle)(todosById, { type: 'other' })).toBe(todosById)
+  })
+
+  it(`describes the selector and the Matcher`, () => {
+    const description = match.inspect(match.where(3)(toggle))
+    expect(description.kind).toBe('where')
+    expect(description.selector).toBe(3)
+    expect(description.children[0].matcher).toBe(toggle)
+  })
+})
+
+describe('combine', () => {
+  const counter = match.withDefault(0)(match.plainAction({ type: 'INCREMENT' }).with(R.inc))
+  const todos = match.withDefault([])(match.plainAction({ type: 'ADD' }).with((state, action) => R.append(action.text, state)))
+
+  it(`throws if the argument isn't an object of Matchers`, () => {
+    expect(() => match.combine()).toThrow(match.PreconditionError)
+    expect(() => match.combine({})).toThrow(match.PreconditionError)
+    expect(() => match.combine({ counter: 'counter' })).toThrow(match.MatcherTypeError)
+  })
+
+  it(`gets the default of each Matcher when the state is undefined`, () => {
+    const matcher = match.combine({ counter, todos })
+    expect(matcher(undefined, { type: '@@INIT' })).toEqual({ counter: 0, todos: [] })
+  })
+
+  it(`reduces each property with the Matcher with its key`, () => {
+    const matcher = match.combine({ counter, todos, total: (state, action) => state + 1 })
+    const state = { counter: 1, todos: [ 'a' ], total: 0 }
+
+    expect(matcher(state, { type: 'INCREMENT' })).toEqual({ counter: 2, todos: [ 'a' ], total: 1 })
+    expect(matcher(state, { type: 'ADD', text: 'b' }).todos).toEqual([ 'a', 'b' ])
+  })
+
+  it(`returns the state itself and shares unchanged properties`, () => {
+    const matcher = match.combine({ counter, todos })
+    const state = { counter: 1, todos: [ 'a' ] }
+
+    expect(matcher(state, { type: 'OTHER' })).toBe(state)
+    expect(matcher(state, { type: 'INCREMENT' }).todos).toBe(state.todos)
+  })
+
+  it(`keeps unknown keys and warns about each one once`, () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(R.identity)
+    const matcher = match.combine({ counter })
+    const state = { counter: 1, extra: true }
+
+    expect(matcher(state, { type: 'INCREMENT' })).toEqual({ counter: 2, extra: true })
+    matcher(state, { type: 'INCREMENT' })
+    expect(warn).toHaveBeenCalledTimes(1)
+    expect(warn.mock.calls[0][0]).toMatch('"extra"')
+    warn.mockRestore()
+  })
+
+  it(`describes its Matchers as children, including nested combine Matchers`, () => {
+    const matcher = match.combine({ counter, nested: match.combine({ todos }) })
+    const description = match.inspect(matcher)
+
+    expect(description.kind).toBe(match.kinds.COMBINE)
+    expect(description.keys).toEqual([ 'counter', 'nested' ])
+    expect(R.map(R.prop('kind'), description.children)).toEqual([ 'withDefault', 'combine' ])
+    expect(description.children[1].children[0].matcher).toBe(todos)
+  })
+
+  it(`passes the Matchers the root and parent state after the action`, () => {
+    const reducer = jest.fn(R.identity)
+    const matcher = match.combine({ counter, nested: match.combine({ todos: match.first(match.always(reducer)) }) })
+    const state = { counter: 1, nested: { todos: [] } }
+    const action = { type: 'OTHER' }
+
+    expect(matcher(state, action, 'extra')).toBe(state)
+    expect(reducer).toBeCalledWith([], action, { root: state, parent: state.nested }, 'extra')
+    expect(Object.isFrozen(reducer.mock.calls[0][2])).toBe(true)
+  })
+
+  it(`lets Matchers read their siblings`, () => {
+    const visibleTodos = match.withDefault([])(match.plainAction({ type: 'ADD' })
+      .with(match(match.contextCondition({ parent: R.propEq('filter', 'all') }))
+        .with((state, action) => R.append(action.text, state))))
+    const matcher = match.combine({ filter: match.withDefault('all')(R.identity), visibleTodos })
+
+    expect(matcher({ filter: 'all', visibleTodos: [] }, { type: 'ADD', text: 'a' }).visibleTodos).toEqual([ 'a' ])
+    expect(matcher({ filter: 'none', visibleTodos: [] }, { type: 'ADD', text: 'a' }).visibleTodos).toEqual([])
+  })
+
+  it(`can be traced`, () => {
+    const onEvent = jest.fn()
+    const matcher = match.trace(match.combine({ counter, nested: match.combine({ todos }) }), { onEvent })
+
+    expect(matcher({ counter: 0, nested: { todos: [] } }, { type: 'ADD', text: 'a' }))
+      .toEqual({ counter: 0, nested: { todos: [ 'a' ] } })
+    expect(R.map(R.prop('path'), R.filter(R.propEq('kind', 'combine'), onEvent.mock.calls.map(R.head))))
+      .toContainEqual([ 1 ])
+  })
+})
+
+describe('validate', () => {
+  const schema = {
+    count: R.is(Number),
+    user: {
+      name: R.is(String),
+    },
+  }
+  const state = { count: 0, user: { name: 'name' } }
+
+  it(`throws if the arguments are invalid`, () => {
+    expect(() => match.validate('string')).toThrow()
+    expect(() => match.validate(schema)(null)).toThrow()
+  })
+
+  it(`returns the result of a valid state`, () => {
+    const matcher = match.validate(schema)(match(R.T).with(R.evolve({ count: R.inc })))
+    expect(matcher(state, { type: 'increment' })).toEqual({ count: 1, user: { name: 'name' } })
+  })
+
+  it(`throws an error with the path to the invalid part of the state and the action`, () => {
+    const matcher = match.validate(schema)(match(R.T).with(R.dissocPath([ 'user', 'name' ])))
+    const action = { type: 'rename' }
+
+    expect(() => matcher(state, action))
+      .toThrow('state.user.name is invalid after action "rename": received undefined')
+
+    try {
+      matcher(state, action)
+    } catch (error) {
+      expect(error.path).toEqual([ 'user', 'name' ])
+      expect(error.state).toEqual({ count: 0, user: {} })
+      expect(error.action).toBe(action)
+    }
+  })
+
+  it(`reports a state that isn't an object`, () => {
+    const matcher = match.validate(schema)(R.always(undefined))
+    expect(() => matcher(state, { id: 1 })).toThrow('state is invalid after action {"id":1}: received undefined')
+    expect(() => match.validate(R.is(Number))(R.always('1'))(0))
+      .toThrow('state is invalid after action undefined: received "1"')
+  })
+
+  it(`calls onError in place of throwing`, () => {
+    const onError = jest.fn()
+    const matcher = match.validate(schema, { onError })(R.assoc('count', null))
+
+    expect(matcher(state, {})).toEqual(R.assoc('count', null, state))
+    expect(onError).toBeCalledWith(expect.objectContaining({ path: [ 'count' ] }))
+  })
+
+  it(`returns the Matcher when disabled`, () => {
+    const matcher = match(R.T)
+    expect(match.validate(schema, { enabled: false })(matcher)).toBe(matcher)
+  })
+
+  it(`is disabled by default in production`, () => {
+    const env = process.env.NODE_ENV
+    process.env.NODE_ENV = 'production'
+    try {
+      const matcher = match(R.T)
+      expect(match.validate(schema)(matcher)).toBe(matcher)
+    } finally {
+      process.env.NODE_ENV = env
+    }
+  })
 })
 
 describe('actionCondition', () => {
@@ -157,6 +633,90 @@ describe('actionCondition', () => {
   })
 })
 
+describe('contextCondition', () => {
+  it(`throws if the argument isn't a MatcherCondition`, () => {
+    expect(() => match.contextCondition('string')).toThrow(match.ConditionTypeError)
+  })
+
+  it(`tests the context from match.combine with match.shape`, () => {
+    const condition = jest.fn(R.equals('all'))
+    const matcher = match.combine({
+      filter: R.identity,
+      todos: match(match.contextCondition({ parent: R.propSatisfies(condition, 'filter') })).with(R.always('matched')),
+    })
+
+    expect(matcher({ filter: 'all', todos: [] }, {}).todos).toBe('matched')
+    expect(matcher({ filter: 'none', todos: [] }, {}).todos).toEqual([])
+    expect(condition).toBeCalledWith('all')
+  })
+
+  it(`finds the context after the key inside match.each and match.where`, () => {
+    const multiply = match(match.contextCondition({ parent: R.propEq('factor', 10) })).with(R.multiply(10))
+    const matcher = match.combine({
+      factor: R.identity,
+      list: match.each(multiply),
+      third: match.where((element, action, index) => index === 2)(multiply),
+      nested: match.each(match.combine({ root: (state, action, context) => context.root.factor }))
+    })
+
+    const state = matcher({ factor: 10, list: [ 1, 2 ], third: [ 1, 2, 3 ], nested: [ {} ] }, {})
+    expect(state.list).toEqual([ 10, 20 ])
+    expect(state.third).toEqual([ 1, 2, 30 ])
+    expect(state.nested).toEqual([ { root: 10 } ])
+    expect(matcher({ factor: 1, list: [ 1, 2 ], third: [], nested: [] }, {}).list).toEqual([ 1, 2 ])
+  })
+
+  it(`is false without a context from match.combine`, () => {
+    const condition = jest.fn(R.T)
+    expect(match.contextCondition(condition)(null, {}, { parent: {} })).toBe(false)
+    expect(condition).not.toBeCalled()
+  })
+})
+
+describe('any, every and not', () => {
+  it(`throw if the conditions aren't objects or functions`, () => {
+    expect(() => match.any()).toThrow(match.ConditionTypeError)
+    expect(() => match.every()).toThrow('match.every: must pass at least one condition')
+    expect(() => match.every()).toThrow(match.ConditionTypeError)
+    expect(() => match.every(R.T, 'string')).toThrow(match.ConditionTypeError)
+    expect(() => match.not(null)).toThrow(match.ConditionTypeError)
+  })
+
+  it(`combine functions called with all of the arguments`, () => {
+    const isPositive = jest.fn((state, amount) => amount > 0)
+    const isEven = (state, amount) => amount % 2 === 0
+
+    expect(match.any(isPositive, isEven)(null, -2)).toBe(true)
+    expect(match.any(isPositive, isEven)(null, -1)).toBe(false)
+    expect(match.every(isPositive, isEven)(null, 2)).toBe(true)
+    expect(match.every(isPositive, isEven)(null, 1)).toBe(false)
+    expect(match.not(isPositive)(null, 1)).toBe(false)
+    expect(isPositive).toBeCalledWith(null, 1)
+  })
+
+  it(`test the first argument with objects of predicates and values`, () => {
+    const isAdd = match.any({ type: 'ADD' }, { type: 'INSERT', index: R.lte(0) })
+    expect(isAdd({ type: 'ADD' })).toBe(true)
+    expect(isAdd({ type: 'INSERT', index: 1 })).toBe(true)
+    expect(isAdd({ type: 'INSERT', index: -1 })).toBe(false)
+    expect(match.not({ payload: { id: null } })({ payload: { id: null } })).toBe(false)
+    expect(match.every({ type: 'ADD' }, { id: R.is(Number) })({ type: 'ADD', id: 1 })).toBe(true)
+  })
+
+  it(`can be used as Matcher conditions and inside action conditions`, () => {
+    const hasId = match.redux({ payload: match.not(R.propSatisfies(R.isNil, 'id')) }).with(R.always('id'))
+    expect(hasId(null, { payload: { id: 1 } })).toBe('id')
+    expect(hasId(null, { payload: { id: null } })).toBe(null)
+
+    const isAddOrRemove = match(match.any(
+      match.plainActionCondition({ type: 'ADD' }),
+      match.plainActionCondition({ type: 'REMOVE' })
+    )).with(R.always('matched'))
+    expect(isAddOrRemove(null, { type: 'REMOVE' })).toBe('matched')
+    expect(isAddOrRemove(null, { type: 'OTHER' })).toBe(null)
+  })
+})
+
 describe('plainAction', () => {
   it('compares the second argument to a plain object', () => {
     const reducer = jest.fn(R.identity)
@@ -196,6 +756,50 @@ describe('plainAction', () => {
     ).toBe(state)
     expect(reducer).toBeCalledWith(state, superAction)
   })
+  it(`accepts arrays of types, RegExps and wildcards for the type`, () => {
+    const matches = (type, action) => match.plainAction(R.merge({ id: 1 }, { type })).with(R.always(true))(false, action)
+
+    expect(matches([ 'ADD', 'INSERT' ], { type: 'INSERT', id: 1 })).toBe(true)
+    expect(matches([ 'ADD', 'INSERT' ], { type: 'INSERT', id: 2 })).toBe(false)
+    expect(matches([ 'ADD', /^todos\// ], { type: 'todos/remove', id: 1 })).toBe(true)
+    expect(matches(/^todos\//g, { type: 'todos/remove', id: 1 })).toBe(true)
+    expect(matches(/^todos\//g, { type: 'todos/remove', id: 1 })).toBe(true)
+    expect(matches(/^todos\//, { type: 'users/remove', id: 1 })).toBe(false)
+    expect(matches('todos/*', { type: 'todos/remove', id: 1 })).toBe(true)
+    expect(matches('todos/*', { type: 'todos/items/remove', id: 1 })).toBe(false)
+    expect(matches('todos/**', { type: 'todos/items/remove', id: 1 })).toBe(true)
+    expect(matches('*.remove', { type: 'todos.remove', id: 1 })).toBe(true)
+    expect(matches('*.remove', { type: 'todos-remove', id: 1 })).toBe(false)
+    expect(matches('todos/*', { type: Symbol.for('todos/remove'), id: 1 })).toBe(false)
+    expect(matches('todos/*', undefined)).toBe(false)
+  })
+
+  it(`uses patterns in match.first without indexing them`, () => {
+    const matcher = match.first(
+      match.plainAction({ type: 'todos/add' }).with(R.always('add')),
+      match.plainAction({ type: 'todos/*' }).with(R.always('any')),
+      match.plainAction({ type: [ 'todos/clear', 'reset' ] }).with(R.always('clear'))
+    )
+    expect(matcher(null, { type: 'todos/add' })).toBe('add')
+    expect(matcher(null, { type: 'todos/remove' })).toBe('any')
+    expect(matcher(null, { type: 'reset' })).toBe('clear')
+  })
+
+  it(`compares the properties like R.equals`, () => {
+    const cyclic = { id: 1 }
+    cyclic.self = cyclic
+    const values = [
+      0, -0, NaN, 1, '1', null, undefined, true, Symbol.for('a'),
+      [ 1, [ 2 ] ], [ 1, [ 3 ] ], { a: { b: 1 } }, { a: { b: 2 } }, { a: 1, b: undefined },
+      new Date(0), new Date(1), /a/g, /a/i, new Map([ [ 'a', 1 ] ]), new Set([ 1 ]), new String('1'),
+      new Error('a'), cyclic, { id: 1, self: cyclic },
+    ]
+
+    values.forEach(expected => values.forEach(received => {
+      const matches = match.plainActionCondition({ value: expected })(null, { value: received })
+      expect(matches).toBe(R.equals(expected, received))
+    }))
+  })
 })
 
 describe('always', () => {
@@ -230,6 +834,16 @@ describe('always', () => {
 })
 
 describe('redux', () => {
+  it(`accepts arrays of types, RegExps and wildcards for the type`, () => {
+    const matcher = match.redux({ type: [ 'ADD', 'todos/*', /^users\// ], id: R.is(Number) }).with(R.always(true))
+    expect(matcher(false, { type: 'ADD', id: 1 })).toBe(true)
+    expect(matcher(false, { type: 'todos/remove', id: 1 })).toBe(true)
+    expect(matcher(false, { type: 'users/remove', id: 1 })).toBe(true)
+    expect(matcher(false, { type: 'users/remove', id: '1' })).toBe(false)
+    expect(matcher(false, { type: 'REMOVE', id: 1 })).toBe(false)
+    expect(match.redux({ type: 'ADD' }).with(R.always(true))(false, { type: 'ADD' })).toBe(true)
+  })
+
   it(`throws if the arguments aren't MatcherConditions`, () => {
     expect(() => match.redux(null)).toThrow()
     expect(() => match.redux('string', 5)).toThrow()
@@ -291,6 +905,21 @@ describe('redux', () => {
     expect(identityReducer).toBeCalledWith(state, action)
   })
 
+  it(`combines the reducers of every with() using match.first()`, () => {
+    const reduxMatcher = match.redux(R.T)
+      .with(match(R.F).with(R.always(NaN)))
+      .with(match(R.equals(1)).with(R.inc), R.dec)
+
+    expect(reduxMatcher(1, action)).toBe(2)
+    expect(reduxMatcher(5, action)).toBe(4)
+    expect(match.inspect(reduxMatcher).kind).toBe('redux')
+  })
+
+  it(`keeps its with() in copies of the Matcher`, () => {
+    const copy = match.trace(match.redux(R.T), { onEvent: R.identity })
+    expect(copy.with(match(R.F), R.inc)(1, action)).toBe(2)
+  })
+
   it(`converts plain function reducers to match.always Matchers in match.with`, () => {
     const numberState = 5
     const functionReducer = jest.fn(R.add(3))
@@ -313,6 +942,537 @@ describe('redux', () => {
   })
 })
 
+describe('extend', () => {
+  const concatenated = match.extend({
+    name: 'concatenated',
+    combineWith: (reducers, description) => match.all(...R.map(match.always, reducers)),
+  })
+
+  it(`throws if the name or combineWith are invalid`, () => {
+    expect(() => match.extend()).toThrow()
+    expect(() => match.extend({ name: '', combineWith: R.identity })).toThrow()
+    expect(() => match.extend({ name: 'valid' })).toThrow()
+    expect(() => match.extend({ name: 'redux', combineWith: R.identity })).toThrow()
+    expect(() => match.extend({ name: 'concatenated', combineWith: R.identity })).toThrow()
+    expect(() => concatenated('string')).toThrow(match.ConditionTypeError)
+  })
+
+  it(`creates Matchers of the kind`, () => {
+    const matcher = concatenated(R.lt(R.__, 10), R.inc, { limit: 10 })
+    expect(matcher(1)).toBe(2)
+    expect(matcher(10)).toBe(10)
+    expect(match.inspect(matcher)).toEqual(expect.objectContaining({ kind: 'concatenated', limit: 10 }))
+  })
+
+  it(`uses combineWith to get the reducer for with()`, () => {
+    const combineWith = jest.fn(R.always(R.add(5)))
+    const matcher = match.extend({ name: 'added', combineWith })(R.T)
+    const withMatcher = matcher.with(1, 2)
+
+    expect(withMatcher(1)).toBe(6)
+    expect(combineWith).toBeCalledWith([ 1, 2 ], match.inspect(matcher))
+  })
+
+  it(`keeps the kind and its with() in the Matchers returned by with()`, () => {
+    const matcher = concatenated(R.T, R.identity, { limit: 10 })
+      .with(R.inc, R.multiply(2))
+      .with(R.inc, R.inc, R.inc)
+
+    expect(matcher(1)).toBe(4)
+    expect(match.inspect(matcher)).toEqual(expect.objectContaining({ kind: 'concatenated', limit: 10 }))
+  })
+
+  it(`keeps the kind's with() in copies of the Matcher`, () => {
+    const copy = match.trace(concatenated(R.T), { onEvent: R.identity })
+    expect(match.inspect(copy).kind).toBe('concatenated')
+    expect(copy.with(R.inc, R.inc)(1)).toBe(3)
+  })
+
+  it(`returns Matchers of the kind that combineWith returns`, () => {
+    const counted = match.extend({
+      name: 'counted',
+      combineWith: ([ reducer ], { count }) => counted(R.T, reducer, { count: count + 1 })
+    })
+    const matcher = counted(R.T, R.identity, { count: 0 }).with(R.inc).with(R.dec)
+
+    expect(matcher(1)).toBe(0)
+    expect(match.inspect(matcher)).toEqual(expect.objectContaining({ kind: 'counted', count: 2 }))
+  })
+})
+
+describe('inspect', () => {
+  it(`throws if the argument is a non-Matcher`, () => {
+    expect(() => match.inspect(R.identity)).toThrow()
+    expect(() => match.inspect({})).toThrow()
+  })
+
+  it(`describes the condition and reducer of a plain Matcher`, () => {
+    const condition = R.T
+    const reducer = R.identity
+    const matcher = match(condition).with(reducer)
+
+    expect(match.inspect(matcher)).toEqual({
+      kind: match.kinds.PLAIN,
+      matcher,
+      condition,
+      reducer,
+      children: [],
+    })
+  })
+
+  it(`describes the kind of each Matcher`, () => {
+    const matcher = match(R.T)
+    expect(match.inspect(match.first(matcher)).kind).toBe('first')
+    expect(match.inspect(match.all(matcher)).kind).toBe('all')
+    expect(match.inspect(match.always(R.identity)).kind).toBe('always')
+    expect(match.inspect(match.redux(R.T)).kind).toBe('redux')
+    expect(match.inspect(match.redux(R.T).with(R.identity)).kind).toBe('redux')
+    expect(match.inspect(match.withDefault(0)(matcher)).kind).toBe('withDefault')
+  })
+
+  it(`describes the default value of match.withDefault`, () => {
+    const defaultValue = Symbol.for('default')
+    const matcher = match(R.T)
+    const description = match.inspect(match.withDefault(defaultValue)(matcher))
+
+    expect(description.defaultValue).toBe(defaultValue)
+    expect(R.map(R.prop('matcher'), description.children)).toEqual([ matcher ])
+  })
+
+  it(`describes the children of a Matcher recursively`, () => {
+    const increment = match.plainAction({ type: 'increment' }).with(R.inc)
+    const decrement = match.plainAction({ type: 'decrement' }).with(R.dec)
+    const counter = match.withDefault(0)(
+      match.redux(R.T).with(increment, decrement, R.identity)
+    )
+
+    const description = match.inspect(counter)
+    const getKinds = R.map(R.prop('kind'))
+
+    const [ redux ] = description.children
+    expect(redux.kind).toBe('redux')
+
+    const [ first ] = redux.children
+    expect(first.kind).toBe('first')
+    expect(getKinds(first.children)).toEqual([ 'plain', 'plain', 'always' ])
+    expect(first.children[0].matcher).toBe(increment)
+    expect(first.children[1].matcher).toBe(decrement)
+    expect(first.children[2].reducer).toBe(R.identity)
+  })
+})
+
+describe('isMatcher', () => {
+  it(`is true for Matchers of every kind`, () => {
+    expect(match.isMatcher(match(R.T))).toBe(true)
+    expect(match.isMatcher(match.withDefault(0)(R.identity))).toBe(true)
+    expect(match.isMatcher(match.combine({ a: match.always(R.identity) }))).toBe(true)
+    expect(match.isMatcher(match.memo(R.identity))).toBe(true)
+  })
+
+  it(`is false for other values`, () => {
+    expect(match.isMatcher(R.identity)).toBe(false)
+    expect(match.isMatcher({})).toBe(false)
+    expect(match.isMatcher(undefined)).toBe(false)
+  })
+})
+
+describe('trace', () => {
+  const getEvents = R.map(R.pick([ 'type', 'path', 'kind' ]))
+
+  it(`throws if the arguments aren't a Matcher and an onEvent function`, () => {
+    expect(() => match.trace(R.identity, { onEvent: R.identity })).toThrow()
+    expect(() => match.trace(match(R.T))).toThrow()
+    expect(() => match.trace(match(R.T), { onEvent: 'string' })).toThrow()
+  })
+
+  it(`returns a Matcher that behaves like the traced Matcher`, () => {
+    const matcher = match.first(
+      match.plainAction({ type: 'increment' }).with(R.inc),
+      match.plainAction({ type: 'decrement' }).with(R.dec)
+    )
+    const traced = match.trace(matcher, { onEvent: R.identity })
+
+    expect(traced).toBeInstanceOf(match(R.T).constructor)
+    expect(traced(1, { type: 'increment' })).toBe(2)
+    expect(traced(1, { type: 'decrement' })).toBe(0)
+    expect(traced(1, { type: 'other' })).toBe(1)
+  })
+
+  it(`emits an event for each condition with its result`, () => {
+    const onEvent = jest.fn()
+    const condition = R.F
+    const matcher = match(condition).with(R.inc)
+    const traced = match.trace(matcher, { onEvent })
+
+    const action = {}
+    expect(traced(1, action)).toBe(1)
+    expect(onEvent).toHaveBeenCalledTimes(1)
+    expect(onEvent).toBeCalledWith({
+      type: 'condition',
+      path: [],
+      kind: 'plain',
+      matcher,
+      condition,
+      args: [ 1, action ],
+      result: false,
+    })
+  })
+
+  it(`emits an event for each reducer with the state before and after`, () => {
+    const onEvent = jest.fn()
+    const reducer = R.inc
+    const matcher = match(R.T).with(reducer)
+    const traced = match.trace(matcher, { onEvent })
+
+    traced(1, 'action')
+    expect(onEvent).toHaveBeenLastCalledWith({
+      type: 'reducer',
+      path: [],
+      kind: 'plain',
+      matcher,
+      reducer,
+      args: [ 1, 'action' ],
+      before: 1,
+      after: 2,
+    })
+  })
+
+  it(`emits the events of nested Matchers as a path through the tree`, () => {
+    const onEvent = jest.fn()
+    const matcher = match.withDefault(0)(
+      match.redux(R.T).with(
+        match.plainAction({ type: 'increment' }).with(R.inc),
+        match.plainAction({ type: 'decrement' }).with(R.dec)
+      )
+    )
+    const traced = match.trace(matcher, { onEvent })
+
+    expect(traced(1, { type: 'decrement' })).toBe(0)
+    expect(getEvents(R.map(R.head, onEvent.mock.calls))).toEqual([
+      { type: 'condition', path: [], kind: 'withDefault' },
+      { type: 'condition', path: [ 0 ], kind: 'redux' },
+      { type: 'condition', path: [ 0, 0 ], kind: 'first' },
+      { type: 'condition', path: [ 0, 0, 1 ], kind: 'plain' },
+      { type: 'reducer', path: [ 0, 0, 1 ], kind: 'plain' },
+      { type: 'reducer', path: [ 0, 0 ], kind: 'first' },
+      { type: 'reducer', path: [ 0 ], kind: 'redux' },
+      { type: 'reducer', path: [], kind: 'withDefault' },
+    ])
+  })
+
+  it(`emits the default value of match.withDefault`, () => {
+    const onEvent = jest.fn()
+    const traced = match.trace(match.withDefault(5)(match(R.T).with(R.inc)), { onEvent })
+
+    expect(traced(undefined)).toBe(5)
+    expect(getEvents(R.map(R.head, onEvent.mock.calls))).toEqual([
+      { type: 'condition', path: [], kind: 'withDefault' },
+      { type: 'reducer', path: [], kind: 'withDefault' },
+    ])
+    expect(onEvent).toHaveBeenLastCalledWith(expect.objectContaining({ before: undefined, after: 5 }))
+  })
+})
+
+describe('namespaced', () => {
+  const counter = match.withDefault(0)(match.first(
+    match.plainAction({ type: 'INCREMENT' }).with(R.inc),
+    match.redux({ type: R.equals('ADD') }).with((state, action) => state + action.amount),
+    match((state, action) => action.type === 'RESET').with(R.always(0))
+  ))
+  const increment = () => ({ type: 'INCREMENT' })
+  const add = amount => ({ type: 'ADD', amount, meta: { source: 'test' } })
+
+  it(`throws if the arguments aren't a namespace and a Matcher`, () => {
+    expect(() => match.namespaced(undefined, counter)).toThrow(match.PreconditionError)
+    expect(() => match.namespaced('a', R.identity)).toThrow(match.MatcherTypeError)
+    expect(() => match.namespaced.actionCreator(null, increment)).toThrow(match.PreconditionError)
+    expect(() => match.namespaced.actionCreator('a', 'INCREMENT')).toThrow(match.PreconditionError)
+  })
+
+  it(`only matches plainAction and redux actions with the namespace`, () => {
+    const a = match.namespaced('a', counter)
+    const incrementA = match.namespaced.actionCreator('a', increment)
+    const incrementB = match.namespaced.actionCreator('b', increment)
+    const addA = match.namespaced.actionCreator('a', add)
+
+    expect(a(1, increment())).toBe(1)
+    expect(a(1, incrementB())).toBe(1)
+    expect(a(1, incrementA())).toBe(2)
+    expect(a(1, add(2))).toBe(1)
+    expect(a(1, addA(2))).toBe(3)
+    expect(a(undefined, incrementA())).toBe(0)
+  })
+
+  it(`leaves other conditions and the original Matcher unchanged`, () => {
+    const a = match.namespaced('a', counter)
+    expect(a(5, { type: 'RESET' })).toBe(0)
+    expect(counter(1, match.namespaced.actionCreator('a', increment)())).toBe(2)
+  })
+
+  it(`keeps the kinds and the action type index of the Matcher`, () => {
+    const condition = jest.fn(R.T)
+    const matcher = match.first(
+      match.plainAction({ type: 'INCREMENT' }).with(R.inc),
+      match.plainAction({ type: 'OTHER' }).with(match(condition))
+    )
+    const a = match.namespaced('a', match.redux(R.T).with(matcher))
+
+    expect(match.inspect(a).kind).toBe('redux')
+    expect(a(1, match.namespaced.actionCreator('a', increment)())).toBe(2)
+    expect(condition).not.toBeCalled()
+  })
+
+  it(`lets one Matcher reduce many parts of the state`, () => {
+    const counters = match.all(
+      match.at([ 'a' ])(match.namespaced('a', counter)),
+      match.at([ 'b' ])(match.namespaced('b', counter))
+    )
+    const state = R.reduce(counters, { a: 0, b: 10 }, [
+      match.namespaced.actionCreator('a', increment)(),
+      match.namespaced.actionCreator('b', add)(5),
+      match.namespaced.actionCreator('a', increment)(),
+    ])
+    expect(state).toEqual({ a: 2, b: 15 })
+  })
+
+  it(`adds the namespace to the actions' meta and keeps the action creator's type`, () => {
+    const actionCreator = Object.assign(amount => add(amount), { type: 'ADD' })
+    const namespaced = match.namespaced.actionCreator('a', actionCreator)
+    expect(namespaced(2)).toEqual({ type: 'ADD', amount: 2, meta: { source: 'test', namespace: 'a' } })
+    expect(namespaced.type).toBe('ADD')
+    expect(namespaced.length).toBe(1)
+  })
+})
+
+describe('memo', () => {
+  const add = { type: 'ADD', amount: 2 }
+  const createCounter = () => {
+    const condition = jest.fn((state, action) => action.type === 'ADD')
+    const reducer = jest.fn((state, action) => state + action.amount)
+    return { condition, reducer, counter: match(condition).with(reducer) }
+  }
+
+  it(`throws if the arguments are invalid`, () => {
+    expect(() => match.memo('counter')).toThrow(match.MatcherTypeError)
+    expect(() => match.memo(R.identity, { size: 0 })).toThrow(match.PreconditionError)
+    expect(() => match.memo(R.identity, { equals: true })).toThrow(match.PreconditionError)
+    expect(() => match.memo(R.identity).with('reducer')).toThrow(match.MatcherTypeError)
+    expect(() => match.memo.stats(match.always(R.identity))).toThrow(match.MatcherTypeError)
+  })
+
+  it(`caches the results of the condition and the reducer`, () => {
+    const { condition, reducer, counter } = createCounter()
+    const memo = match.memo(counter)
+    expect([ memo(1, add), memo(1, add), memo(3, add) ]).toEqual([ 3, 3, 5 ])
+    expect(memo(1, { type: 'SUBTRACT' })).toBe(1)
+    expect(memo(1, { type: 'SUBTRACT' })).toBe(1)
+    expect(condition).toHaveBeenCalledTimes(4)
+    expect(reducer).toHaveBeenCalledTimes(2)
+    expect(match.memo.stats(memo)).toEqual({
+      condition: { hits: 1, misses: 4 },
+      reducer: { hits: 1, misses: 2 }
+    })
+  })
+
+  it(`caches by the identity of object states and actions`, () => {
+    const reducer = jest.fn(R.assoc('count', 1))
+    const memo = match.memo(reducer)
+    const state = { count: 0 }
+    const action = { type: 'SET' }
+    expect(memo(state, action)).toBe(memo(state, action))
+    memo({ count: 0 }, action)
+    memo(state, { type: 'SET' })
+    expect(reducer).toHaveBeenCalledTimes(3)
+  })
+
+  it(`compares actions with equals`, () => {
+    const { reducer, counter } = createCounter()
+    const memo = match.memo(counter, { equals: R.equals })
+    memo(1, add)
+    memo(1, R.clone(add))
+    expect(reducer).toHaveBeenCalledTimes(1)
+  })
+
+  it(`keeps the most recently used actions and primitive states`, () => {
+    const { reducer, counter } = createCounter()
+    const memo = match.memo(counter, { size: 2 })
+    const actions = R.times(amount => ({ type: 'ADD', amount }), 3)
+
+    memo(0, actions[0])
+    memo(0, actions[1])
+    memo(0, actions[0])
+    memo(0, actions[2])
+    expect(reducer).toHaveBeenCalledTimes(3)
+    memo(0, actions[0])
+    expect(reducer).toHaveBeenCalledTimes(3)
+    memo(0, actions[1])
+    expect(reducer).toHaveBeenCalledTimes(4)
+
+    memo(1, actions[0])
+    memo(2, actions[0])
+    memo(0, actions[1])
+    expect(reducer).toHaveBeenCalledTimes(7)
+  })
+
+  it(`doesn't cache calls with more arguments`, () => {
+    const { reducer, counter } = createCounter()
+    const memo = match.memo(counter)
+    memo(1, add, 'extra')
+    memo(1, add, 'extra')
+    expect(reducer).toHaveBeenCalledTimes(2)
+    expect(match.memo.stats(memo).reducer).toEqual({ hits: 0, misses: 0 })
+  })
+
+  it(`caches the new reducer separately when with() is called`, () => {
+    const { condition, counter } = createCounter()
+    const memo = match.memo(counter)
+    memo(1, add)
+
+    const multiply = memo.with((state, action) => state * action.amount)
+    expect(match.inspect(multiply).kind).toBe(match.kinds.MEMO)
+    expect(multiply(1, add)).toBe(2)
+    expect(multiply(1, add)).toBe(2)
+    expect(memo(1, add)).toBe(3)
+    expect(condition).toHaveBeenCalledTimes(1)
+    expect(match.memo.stats(multiply).reducer).toEqual({ hits: 1, misses: 1 })
+  })
+
+  it(`keeps the action types of conditions for match.first and match.namespaced`, () => {
+    const increment = match.memo(match.plainAction({ type: 'INCREMENT' }).with(R.inc))
+    const namespaced = match.namespaced('a', match.first(increment))
+    expect(namespaced(0, { type: 'INCREMENT', meta: { namespace: 'a' } })).toBe(1)
+    expect(namespaced(0, { type: 'INCREMENT', meta: { namespace: 'b' } })).toBe(0)
+  })
+})
+
+describe('replace', () => {
+  const increment = match.plainAction({ type: 'INCREMENT' }).with(R.inc)
+  const counter = match.withDefault(0)(match.first(
+    increment,
+    match.plainAction({ type: 'RESET' }).with(R.always(0))
+  ))
+  const root = match.combine({ count: counter, name: match.withDefault('')(R.identity) })
+
+  it(`throws if the arguments are invalid`, () => {
+    expect(() => match.replace(R.identity, [], R.identity)).toThrow(match.MatcherTypeError)
+    expect(() => match.replace(root, 'count', R.identity)).toThrow('match.replace: path must be an array')
+    expect(() => match.replace(root, [ 'count' ], 'reducer')).toThrow(match.MatcherTypeError)
+    expect(() => match.replace(root, [ 'missing' ], R.identity)).toThrow('match.replace: path must lead to a child Matcher')
+    expect(() => match.replace(root, [ 'count', 0, 2 ], R.identity)).toThrow(match.PreconditionError)
+    expect(() => match.replace(counter, [ 'count' ], R.identity)).toThrow(match.PreconditionError)
+  })
+
+  it(`replaces the Matcher at a path of child indexes and combine keys`, () => {
+    const replaced = match.replace(root, [ 'count', 0, 0 ], match.plainAction({ type: 'INCREMENT' }).with(R.add(10)))
+    expect(replaced({ count: 1, name: 'a' }, { type: 'INCREMENT' })).toEqual({ count: 11, name: 'a' })
+    expect(replaced({ count: 1, name: 'a' }, { type: 'RESET' })).toEqual({ count: 0, name: 'a' })
+    expect(root({ count: 1, name: 'a' }, { type: 'INCREMENT' })).toEqual({ count: 2, name: 'a' })
+    expect(match.replace(root, [ 1 ], R.toUpper)({ count: 0, name: 'a' }, {}).name).toBe('A')
+  })
+
+  it(`keeps the rest of the tree`, () => {
+    const replaced = match.inspect(match.replace(counter, [ 0, 1 ], R.always(5)))
+    expect(replaced.kind).toBe(match.kinds.WITH_DEFAULT)
+    expect(replaced.defaultValue).toBe(0)
+    expect(replaced.children[0].children[0].matcher).toBe(increment)
+    expect(replaced.children[0].children[1].kind).toBe(match.kinds.ALWAYS)
+    expect(match.replace(counter, [], increment)).toBe(increment)
+  })
+
+  it(`rebuilds memo and redux Matchers around the new children`, () => {
+    const memoized = match.replace(match.memo(counter), [ 0, 0 ], match.plainAction({ type: 'INCREMENT' }).with(R.add(10)))
+    const action = { type: 'INCREMENT' }
+    expect(memoized(1, action)).toBe(11)
+    expect(memoized(1, action)).toBe(11)
+    expect(match.memo.stats(memoized).reducer).toEqual({ hits: 1, misses: 1 })
+
+    const memoizedActions = match.replace(
+      match.memo(match.plainAction({ type: 'A' }).with(R.inc)),
+      [ 0 ],
+      match.plainAction({ type: 'B' }).with(R.dec)
+    )
+    expect(memoizedActions(1, { type: 'A' })).toBe(1)
+    expect(memoizedActions(1, { type: 'B' })).toBe(0)
+    expect(match.inspect(memoizedActions).kind).toBe(match.kinds.MEMO)
+
+    const redux = match.replace(match.redux(R.T).with(increment, R.identity), [ 0, 1 ], R.always(5))
+    expect(match.inspect(redux).children[0].kind).toBe(match.kinds.FIRST)
+    expect(redux(1, { type: 'OTHER' })).toBe(5)
+  })
+})
+
+describe('errors', () => {
+  const getError = f => {
+    try {
+      f()
+    } catch (error) {
+      return error
+    }
+  }
+
+  it(`throws a ConditionTypeError for invalid conditions`, () => {
+    const errors = [
+      getError(() => match('string')),
+      getError(() => match.redux(null)),
+      getError(() => match.actionCondition(5)),
+      getError(() => match.plainAction(undefined)),
+      getError(() => match.validate('string')),
+    ]
+
+    errors.forEach(error => {
+      expect(error).toBeInstanceOf(match.ConditionTypeError)
+      expect(error).toBeInstanceOf(match.PreconditionError)
+      expect(error).toBeInstanceOf(TypeError)
+      expect(error.index).toBe(0)
+    })
+    expect(R.map(R.prop('api'), errors)).toEqual([
+      'match', 'match.redux', 'match.actionCondition', 'match.plainAction', 'match.validate',
+    ])
+  })
+
+  it(`throws a MatcherTypeError for invalid Matchers`, () => {
+    const errors = [
+      getError(() => match.first(match(R.T), R.identity)),
+      getError(() => match.all()),
+      getError(() => match.always({})),
+      getError(() => match.redux(R.T).with(R.identity, 'string')),
+      getError(() => match.inspect(R.identity)),
+    ]
+
+    errors.forEach(error => {
+      expect(error).toBeInstanceOf(match.MatcherTypeError)
+      expect(error).not.toBeInstanceOf(match.ConditionTypeError)
+    })
+    expect(R.map(R.pick([ 'api', 'index' ]), errors)).toEqual([
+      { api: 'match.first', index: 1 },
+      { api: 'match.all', index: undefined },
+      { api: 'match.always', index: 0 },
+      { api: 'match.redux().with', index: 1 },
+      { api: 'match.inspect', index: 0 },
+    ])
+  })
+
+  it(`names the errors after their classes`, () => {
+    const names = [ 'PreconditionError', 'MatcherTypeError', 'ConditionTypeError', 'SpecError' ]
+    names.forEach(name => {
+      expect(new match[name]('message').name).toBe(name)
+      expect(String(new match[name]('message'))).toMatch(new RegExp(`^${name}: message`))
+    })
+  })
+
+  it(`describes the api, the argument and the value that was received`, () => {
+    const error = getError(() => match.first(match(R.T), 'string'))
+    expect(error.name).toBe('MatcherTypeError')
+    expect(error.received).toBe('"string"')
+    expect(error.message).toBe('match.first: arguments must be Matchers (argument 1 was "string")')
+
+    expect(getError(() => match.all()).message).toBe('match.all: must pass at least one argument')
+    expect(getError(() => match({ foo: 'bar' })).message)
+      .toBe('match: condition must be a function (argument 0 was {"foo": "bar"})')
+    expect(getError(() => match.always(R.range(0, 100))).received).toHaveLength(50)
+  })
+})
+
 // Some examples of the library used in different ways.
 describe('examples', () => {
   test('action helper', () => {
@@ -0,0 +1,131 @@
+const match = require('../src')
+const R = require('ramda')
+const { createStore, applyMiddleware, compose } = require('redux')
+const { createMatcherStore, matcherEnhancer, actionSanitizer } = require('../src/redux')
+
+describe('redux', () => {
+  const todos = match.withDefault([])(match.first(
+    match.plainAction({ type: 'ADD' }).with((state, action) => R.append(action.text, state)),
+    match.redux({ type: 'CLEAR' }).with(R.always([]))
+  ))
+  const count = match.withDefault(0)(match.first(
+    match.plainAction({ type: 'INCREMENT' }).with(R.inc)
+  ))
+  const root = match.combine({ todos, count })
+
+  afterEach(() => {
+    delete window.__REDUX_DEVTOOLS_EXTENSION_COMPOSE__
+  })
+
+  it(`throws if the arguments are invalid`, () => {
+    expect(() => createMatcherStore('root')).toThrow(match.MatcherTypeError)
+    expect(() => createMatcherStore(root, R.identity)).toThrow('createMatcherStore: enhancers must be an array of functions')
+    expect(() => createMatcherStore(root, [], 'options')).toThrow(match.PreconditionError)
+    expect(() => matcherEnhancer({ onUnhandled: true })).toThrow(match.PreconditionError)
+    expect(() => createMatcherStore(root).replaceReducer('root')).toThrow(match.MatcherTypeError)
+    expect(() => createMatcherStore(root).replaceMatcher([ 'missing' ], R.identity)).toThrow(match.PreconditionError)
+  })
+
+  it(`creates a store whose reducer is a Matcher`, () => {
+    const store = createMatcherStore(root, [], { preloadedState: { todos: [ 'Write tests' ], count: 1 } })
+    store.dispatch({ type: 'ADD', text: 'Ship it' })
+    store.dispatch({ type: 'INCREMENT' })
+    expect(store.getState()).toEqual({ todos: [ 'Write tests', 'Ship it' ], count: 2 })
+    expect(store.getMatcher()).toBe(root)
+  })
+
+  it(`applies the other enhancers`, () => {
+    const actions = []
+    const record = () => next => action => {
+      actions.push(action.type)
+      return next(action)
+    }
+    const store = createMatcherStore(root, [ applyMiddleware(record) ])
+    store.dispatch({ type: 'INCREMENT' })
+    expect(actions).toEqual([ 'INCREMENT' ])
+    expect(store.getState().count).toBe(1)
+  })
+
+  it(`labels actions with the branch that handled them`, () => {
+    const store = createMatcherStore(root)
+    const add = { type: 'ADD', text: 'Label actions' }
+    const clear = { type: 'CLEAR' }
+    store.dispatch(add)
+    store.dispatch(clear)
+
+    expect(actionSanitizer(add)).toEqual(R.merge(add, { handledBy: 'todos > withDefault[0] > first[0]' }))
+    expect(actionSanitizer(clear).handledBy).toBe('todos > withDefault[0] > first[1] > redux[0] > first[0]')
+    expect(add).not.toHaveProperty('handledBy')
+    expect(actionSanitizer({ type: 'NOT_DISPATCHED' })).toEqual({ type: 'NOT_DISPATCHED' })
+  })
+
+  it(`labels actions handled inside a history Matcher`, () => {
+    const store = createMatcherStore(match.history(count))
+    const increment = { type: 'INCREMENT' }
+    store.dispatch(increment)
+    expect(store.getState()).toEqual({ past: [ 0 ], present: 1, future: [] })
+    expect(actionSanitizer(increment).handledBy).toBe('history[0] > withDefault[0] > first[0]')
+  })
+
+  it(`flags actions that no branch handled`, () => {
+    const onUnhandled = jest.fn()
+    const history = match.history(count)
+    const store = createMatcherStore(match.combine({ todos, history }), [], { onUnhandled })
+    const unknown = { type: 'UNKNOWN' }
+    const undo = { type: match.history.types.undoType }
+    store.dispatch({ type: 'INCREMENT' })
+    const state = store.getState()
+    store.dispatch(unknown)
+    store.dispatch(undo)
+
+    expect(actionSanitizer(unknown)).toEqual({ type: 'UNKNOWN', unhandled: true })
+    expect(onUnhandled).toHaveBeenCalledTimes(1)
+    expect(onUnhandled).toHaveBeenCalledWith(unknown, state)
+
+    // Actions that change the state are handled, even without a match.first branch
+    expect(actionSanitizer(undo)).toBe(undo)
+    expect(store.getState().history.present).toBe(0)
+  })
+
+  it(`replaces Matchers without losing the state`, () => {
+    const store = createMatcherStore(root)
+    store.dispatch({ type: 'ADD', text: 'Keep me' })
+    store.dispatch({ type: 'INCREMENT' })
+
+    store.replaceMatcher([ 'count', 0, 0 ], match.plainAction({ type: 'INCREMENT' }).with(R.add(10)))
+    store.dispatch({ type: 'INCREMENT' })
+    expect(store.getState()).toEqual({ todos: [ 'Keep me' ], count: 11 })
+    expect(store.getMatcher()).not.toBe(root)
+
+    const increment = { type: 'INCREMENT' }
+    store.dispatch(increment)
+    expect(actionSanitizer(increment).handledBy).toBe('count > withDefault[0] > first[0]')
+
+    store.replaceReducer(root)
+    store.dispatch({ type: 'INCREMENT' })
+    expect(store.getState().count).toBe(22)
+    expect(store.getMatcher()).toBe(root)
+  })
+
+  it(`enhances stores created by redux`, () => {
+    const store = createStore(root, compose(matcherEnhancer(), applyMiddleware()))
+    const add = { type: 'ADD', text: 'Enhanced' }
+    store.dispatch(add)
+    expect(actionSanitizer(add).handledBy).toBe('todos > withDefault[0] > first[0]')
+    store.replaceMatcher([ 'todos' ], match.withDefault([])(R.identity))
+    store.dispatch(add)
+    expect(store.getState().todos).toEqual([ 'Enhanced' ])
+  })
+
+  it(`connects to the Redux DevTools extension with actionSanitizer`, () => {
+    window.__REDUX_DEVTOOLS_EXTENSION_COMPOSE__ = jest.fn(() => compose)
+    createMatcherStore(root)
+    expect(window.__REDUX_DEVTOOLS_EXTENSION_COMPOSE__).toHaveBeenCalledWith({ actionSanitizer })
+
+    createMatcherStore(root, [], { devTools: { name: 'todos' } })
+    expect(window.__REDUX_DEVTOOLS_EXTENSION_COMPOSE__).toHaveBeenLastCalledWith({ actionSanitizer, name: 'todos' })
+
+    createMatcherStore(root, [], { devTools: false })
+    expect(window.__REDUX_DEVTOOLS_EXTENSION_COMPOSE__).toHaveBeenCalledTimes(2)
+  })
+})
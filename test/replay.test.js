@@ -0,0 +1,107 @@
+const match = require('../src')
+const R = require('ramda')
+
+describe('replay', () => {
+  const increment = match.plainAction({ type: 'INCREMENT' }).with(R.inc)
+  const double = R.multiply(2)
+  const counter = match.withDefault(0)(match.first(
+    increment,
+    match.redux({ type: 'DOUBLE' }).with(double)
+  ))
+  const actions = R.times(index => ({ type: [ 'INCREMENT', 'DOUBLE', 'OTHER' ][index % 3] }), 30)
+
+  it(`throws if the arguments are invalid`, () => {
+    expect(() => match.replay('counter', actions)).toThrow(match.MatcherTypeError)
+    expect(() => match.replay(counter, actions[0])).toThrow('match.replay: actions must be an array')
+    expect(() => match.replay(counter, actions, { checkpointInterval: 0 })).toThrow(match.PreconditionError)
+
+    const replay = match.replay(counter, actions)
+    expect(() => replay.stateAt(30)).toThrow('match.replay().stateAt: index must be an integer from -1 to 29')
+    expect(() => replay.step(-1)).toThrow('match.replay().step: index must be an integer from 0 to 29')
+    expect(() => replay.bisect('predicate')).toThrow(match.PreconditionError)
+  })
+
+  it(`returns the steps of the actions`, () => {
+    const steps = Array.from(match.replay(counter, R.take(4, actions), { initialState: 1 }))
+    expect(R.map(R.pick([ 'index', 'action', 'state', 'changed' ]), steps)).toEqual([
+      { index: 0, action: actions[0], state: 2, changed: true },
+      { index: 1, action: actions[1], state: 4, changed: true },
+      { index: 2, action: actions[2], state: 4, changed: false },
+      { index: 3, action: actions[3], state: 5, changed: true }
+    ])
+  })
+
+  it(`reports the branch of match.first and match.redux that handled each action`, () => {
+    const [ incremented, doubled, other ] = match.replay(counter, actions, { initialState: 0 })
+    expect(incremented.handledBy).toEqual({ path: [ 0, 0 ], matcher: increment, reducer: R.inc })
+    expect(doubled.handledBy.path).toEqual([ 0, 1, 0, 0 ])
+    expect(doubled.handledBy.reducer).toBe(double)
+    expect(other.handledBy).toBeUndefined()
+  })
+
+  it(`replays the actions again each time it's iterated`, () => {
+    const replay = match.replay(counter, actions)
+    expect(Array.from(replay)).toEqual(Array.from(replay))
+    expect(replay.length).toBe(30)
+  })
+
+  it(`replays plain reducers`, () => {
+    const [ step ] = match.replay(R.add(1), [ {} ], { initialState: 1 })
+    expect(step).toEqual({ index: 0, action: {}, state: 2, changed: true, handledBy: undefined })
+  })
+
+  it(`returns the state and step of any action`, () => {
+    const reducer = jest.fn(counter)
+    const replay = match.replay(reducer, actions, { checkpointInterval: 10 })
+    const states = R.map(R.prop('state'), Array.from(match.replay(counter, actions)))
+
+    expect(replay.stateAt(-1)).toBeUndefined()
+    expect(replay.stateAt(24)).toBe(states[24])
+    expect(reducer).toHaveBeenCalledTimes(25)
+
+    // Later states are reduced from the closest checkpoint
+    reducer.mockClear()
+    expect(replay.stateAt(26)).toBe(states[26])
+    expect(reducer).toHaveBeenCalledTimes(7)
+    expect(match.replay(counter, actions).step(21)).toEqual({
+      index: 21,
+      action: actions[21],
+      state: states[21],
+      changed: true,
+      handledBy: expect.objectContaining({ matcher: increment })
+    })
+  })
+
+  it(`bisects to the first action whose state fails a predicate`, () => {
+    const replay = match.replay(counter, actions, { initialState: 0 })
+    const states = R.map(R.prop('state'), Array.from(replay))
+    const step = replay.bisect(state => state < 1000)
+
+    expect(states[step.index - 1]).toBeLessThan(1000)
+    expect(step.state).toBeGreaterThanOrEqual(1000)
+    expect(step.action).toBe(actions[step.index])
+    expect(replay.bisect(state => state < 0).index).toBe(0)
+    expect(replay.bisect(R.T)).toBeUndefined()
+    expect(match.replay(counter, []).bisect(R.F)).toBeUndefined()
+
+    // Objects are match.shape() specs
+    const objects = match.replay(match.at([ 'count' ])(counter), actions, { initialState: { count: 0 } })
+    expect(objects.bisect({ count: count => count < 1000 }).index).toBe(step.index)
+  })
+
+  it(`bisects to the first failing state when states pass again after failing`, () => {
+    const upAndDown = match.withDefault(0)(match.first(
+      increment,
+      match.plainAction({ type: 'DECREMENT' }).with(R.dec)
+    ))
+    const steps = R.times(index => ({ type: [ 'INCREMENT', 'INCREMENT', 'DECREMENT' ][index % 3] }), 200)
+    const replay = match.replay(upAndDown, steps, { initialState: 0, checkpointInterval: 10 })
+
+    const step = replay.bisect(state => state < 40)
+    expect(step.index).toBe(115)
+    expect(step.state).toBe(40)
+    expect(replay.stateAt(116)).toBe(39)
+    expect(replay.bisect(state => state !== 1).index).toBe(0)
+    expect(replay.bisect(state => state < 1000)).toBeUndefined()
+  })
+})
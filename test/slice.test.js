@@ -0,0 +1,72 @@
+const match = require('../src')
+const R = require('ramda')
+
+describe('slice', () => {
+  const counter = () => match.slice({
+    name: 'counter',
+    initialState: 0,
+    handlers: {
+      increment: (state, action) => state + action.payload,
+      reset: R.always(0),
+    },
+  })
+
+  it(`throws if the name or handlers are invalid`, () => {
+    expect(() => match.slice()).toThrow()
+    expect(() => match.slice({ handlers: { foo: R.identity } })).toThrow()
+    expect(() => match.slice({ name: '', handlers: { foo: R.identity } })).toThrow()
+    expect(() => match.slice({ name: 'foo' })).toThrow()
+    expect(() => match.slice({ name: 'foo', handlers: {} })).toThrow()
+    expect(() => match.slice({ name: 'foo', handlers: { foo: 'bar' } })).toThrow()
+  })
+
+  it(`namespaces the action types with the name`, () => {
+    const { name, types } = counter()
+    expect(name).toBe('counter')
+    expect(types).toEqual({
+      increment: 'counter/increment',
+      reset: 'counter/reset',
+    })
+  })
+
+  it(`creates an action creator for each handler`, () => {
+    const { actions, types } = counter()
+    expect(actions.increment(5)).toEqual({ type: 'counter/increment', payload: 5 })
+    expect(actions.reset()).toEqual({ type: 'counter/reset', payload: undefined })
+    expect(actions.increment.type).toBe(types.increment)
+  })
+
+  it(`creates a Matcher that calls the handler for the action type`, () => {
+    const { actions, reducer } = counter()
+    expect(reducer).toBeInstanceOf(match(R.T).constructor)
+    expect(reducer(1, actions.increment(2))).toBe(3)
+    expect(reducer(3, actions.reset())).toBe(0)
+
+    const state = {}
+    expect(reducer(state, { type: 'increment' })).toBe(state)
+  })
+
+  it(`uses the initial state as the default`, () => {
+    const { reducer } = counter()
+    expect(reducer(undefined, { type: '@@INIT' })).toBe(0)
+  })
+
+  it(`accepts Matchers as handlers`, () => {
+    const { actions, reducer } = match.slice({
+      name: 'counter',
+      initialState: 0,
+      handlers: {
+        increment: match((state, action) => action.payload > 0).with(R.inc),
+      },
+    })
+
+    expect(reducer(1, actions.increment(1))).toBe(2)
+    expect(reducer(1, actions.increment(0))).toBe(1)
+  })
+
+  it(`composes with other Matchers`, () => {
+    const { actions, reducer } = counter()
+    const root = match.at([ 'count' ])(reducer)
+    expect(root({ count: 1 }, actions.increment(1))).toEqual({ count: 2 })
+  })
+})
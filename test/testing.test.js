@@ -0,0 +1,156 @@
+const match = require('../src')
+const R = require('ramda')
+const { checkMatcher, gen, CounterexampleError, deepFreeze } = require('../src/testing')
+
+describe('testing', () => {
+  const todos = match.withDefault([])(match.first(
+    match.plainAction({ type: 'ADD' }).with((state, action) => R.append(action.payload, state)),
+    match.plainAction({ type: 'REMOVE' }).with((state, action) => R.without([ action.payload ], state))
+  ))
+  const options = {
+    states: gen.arrayOf(gen.string()),
+    actions: gen.oneOf(gen.action('ADD', gen.string()), gen.action('REMOVE', gen.string())),
+    initialState: [],
+    seed: 1,
+  }
+
+  // Returns the error thrown by checkMatcher
+  const getCounterexample = (matcher, checkOptions) => {
+    try {
+      checkMatcher(matcher, checkOptions)
+    } catch (error) {
+      return error
+    }
+  }
+
+  it(`throws if the arguments are invalid`, () => {
+    expect(() => checkMatcher('todos', options)).toThrow(match.MatcherTypeError)
+    expect(() => checkMatcher(todos)).toThrow()
+    expect(() => checkMatcher(todos, R.omit([ 'states' ], options))).toThrow()
+    expect(() => checkMatcher(todos, R.merge(options, { actions: [] }))).toThrow()
+    expect(() => checkMatcher(todos, R.merge(options, { properties: [ 'speed' ] }))).toThrow()
+    expect(() => checkMatcher(todos, R.merge(options, { runs: 0 }))).toThrow()
+  })
+
+  it(`returns the number of samples for a Matcher with every property`, () => {
+    expect(checkMatcher(todos, options)).toBe(100)
+    expect(checkMatcher(todos, R.merge(options, { runs: 10, states: [ [], [ 'a' ] ] }))).toBe(10)
+  })
+
+  it(`finds the smallest state and action that are mutated`, () => {
+    const push = match.withDefault([])(match.plainAction({ type: 'ADD' }).with((state, action) => {
+      state.push(action.payload)
+      return state
+    }))
+    const error = getCounterexample(push, options)
+
+    expect(error).toBeInstanceOf(CounterexampleError)
+    expect(error.property).toBe('purity')
+    expect(R.pick([ 'state', 'action' ], error.sample)).toEqual({ state: [], action: { type: 'ADD', payload: '' } })
+    expect(error.message).toMatch('seed 1')
+  })
+
+  it(`finds Matchers that throw for frozen states`, () => {
+    const sort = match.withDefault([])(match.plainAction({ type: 'ADD' }).with(state => {
+      'use strict'
+      return state.sort()
+    }))
+    const error = getCounterexample(sort, R.merge(options, { properties: [ 'purity' ] }))
+    expect(error.property).toBe('purity')
+  })
+
+  it(`finds Matchers that aren't deterministic`, () => {
+    const random = match.withDefault([])(match.plainAction({ type: 'ADD' }).with(() => [ Math.random() ]))
+    expect(getCounterexample(random, options).property).toBe('determinism')
+  })
+
+  it(`finds Matchers that change the state for unrelated actions`, () => {
+    const always = match.withDefault([])(match.always(R.map(R.toUpper)))
+    const error = getCounterexample(always, options)
+
+    expect(error.property).toBe('identity')
+    expect(error.sample.state).toEqual([])
+    expect(error.sample.unrelatedAction.type).toMatch('@@reducer-redux/UNKNOWN_')
+    expect(getCounterexample(todos, R.merge(options, { unrelatedActions: [ { type: 'ADD', payload: 'a' } ] })).property)
+      .toBe('identity')
+  })
+
+  it(`finds Matchers without the initial state`, () => {
+    const withoutDefault = match.first(match.plainAction({ type: 'ADD' }).with(R.always([])))
+    expect(getCounterexample(withoutDefault, R.omit([ 'initialState' ], options)).property).toBe('default')
+    expect(getCounterexample(todos, R.merge(options, { initialState: [ 'a' ] })).property).toBe('default')
+  })
+
+  it(`only finds copies of unchanged states if noCopies is a property`, () => {
+    const clear = match.withDefault([])(match.plainAction({ type: 'CLEAR' }).with(() => []))
+    const clearOptions = R.merge(options, { actions: [ { type: 'CLEAR' } ] })
+
+    expect(checkMatcher(clear, clearOptions)).toBe(100)
+    const error = getCounterexample(clear, R.merge(clearOptions, { properties: [ 'noCopies' ] }))
+    expect(error.property).toBe('noCopies')
+    expect(error.sample.state).toEqual([])
+  })
+
+  it(`generates the same samples for the same seed`, () => {
+    const states = []
+    const record = state => {
+      states.push(state)
+      return state
+    }
+    checkMatcher(record, R.merge(options, { runs: 5, properties: [ 'identity' ] }))
+    checkMatcher(record, R.merge(options, { runs: 5, properties: [ 'identity' ] }))
+    expect(R.take(5, states)).toEqual(R.drop(5, states))
+  })
+
+  describe('gen', () => {
+    it(`generates values within the options`, () => {
+      const matcher = jest.fn(R.identity)
+      checkMatcher(matcher, {
+        states: gen.record({
+          count: gen.integer({ min: 1, max: 3 }),
+          flag: gen.boolean(),
+          name: gen.string({ maxLength: 2 }),
+          tags: gen.arrayOf(gen.elements([ 'a', 'b' ]), { maxLength: 3 }),
+          kind: 'todo',
+        }),
+        actions: gen.map(R.objOf('type'), gen.elements([ 'A', 'B' ])),
+        runs: 20,
+        seed: 3,
+        properties: [ 'determinism' ],
+      })
+
+      R.forEach(([ state, action ]) => {
+        expect(state.count).toBeGreaterThanOrEqual(1)
+        expect(state.count).toBeLessThanOrEqual(3)
+        expect(typeof state.flag).toBe('boolean')
+        expect(state.name.length).toBeLessThanOrEqual(2)
+        expect(R.difference(state.tags, [ 'a', 'b' ])).toEqual([])
+        expect(state.kind).toBe('todo')
+        expect([ 'A', 'B' ]).toContain(action.type)
+      }, matcher.mock.calls)
+    })
+
+    it(`shrinks integers towards 0 and arrays towards fewer elements`, () => {
+      const isSmall = state => R.all(R.gt(10), state)
+      const error = getCounterexample(
+        match.withDefault([])(match.always(state => isSmall(state) ? state : R.clone(state))),
+        { states: gen.arrayOf(gen.integer({ min: -100, max: 100 })), actions: [ {} ], properties: [ 'noCopies' ], seed: 4 }
+      )
+      expect(error.sample.state).toEqual([ 10 ])
+    })
+
+    it(`throws if the arguments are invalid`, () => {
+      expect(() => gen.elements([])).toThrow()
+      expect(() => gen.oneOf(gen.boolean(), 'string')).toThrow()
+      expect(() => gen.arrayOf('string')).toThrow()
+      expect(() => gen.record([])).toThrow()
+      expect(() => gen.action()).toThrow()
+      expect(() => gen.map(R.identity, 'string')).toThrow()
+    })
+  })
+
+  it(`deeply freezes values`, () => {
+    const value = deepFreeze({ list: [ { id: 1 } ] })
+    expect(Object.isFrozen(value.list[0])).toBe(true)
+  })
+})
@@ -0,0 +1,265 @@
+// Type-level tests for index.d.ts. Checked by tsc, never run.
+import match = require('../index')
+import { first, withDefault } from '../index'
+import { checkMatcher, gen } from '../testing'
+import { createMatcherStore, matcherEnhancer, actionSanitizer } from '../redux'
+import { applyMiddleware, createStore } from 'redux'
+
+// Fails to compile unless the type of the value is exactly T
+declare function expectType<T> (value: T): void
+type Equals<A, B> = (<T>() => T extends A ? 1 : 2) extends (<T>() => T extends B ? 1 : 2) ? true : false
+declare function expectExact<A, B> (equal: Equals<A, B>): void
+
+// match() infers the state and arguments from the condition
+const isPositive = match((state: number, amount: number) => state > 0)
+expectType<match.Matcher<number, [number]>>(isPositive)
+expectType<number>(isPositive(1, 2))
+const added = isPositive.with((state, amount) => state + amount)
+expectType<match.Matcher<number, [number]>>(added)
+
+// @ts-expect-error the reducer must return the state
+isPositive.with(state => 'string')
+
+// @ts-expect-error the arguments must match the condition
+isPositive(1, 'string')
+
+// @ts-expect-error conditions must be functions
+match({ type: 'ADD' })
+
+// match.plainAction() narrows the action type in with()
+const add = match.plainAction({ type: 'ADD' }).with((state: string[], action) => {
+  expectExact<typeof action.type, 'ADD'>(true)
+  return [ ...state, action.text ]
+})
+expectType<match.Matcher<string[], [match.PlainAction<{ readonly type: 'ADD' }>, ...any[]]>>(add)
+expectType<string[]>(add([], { type: 'ADD', text: 'todo' }))
+
+// @ts-expect-error the action must have the type
+add([], { type: 'REMOVE' })
+
+// @ts-expect-error the reducer must return the state
+match.plainAction({ type: 'ADD' }).with((state: string[], action) => action.type)
+
+const remove = match.plainAction({ type: 'REMOVE' })
+  .with((state: string[], action) => state.filter(item => item !== action.text))
+
+// match.first() and match.all() carry the state type
+const todos = match.first(add, remove)
+expectType<match.Matcher<string[]>>(todos)
+expectType<match.Matcher<string[]>>(match.all(add, remove))
+
+// @ts-expect-error the Matchers must have the same state type
+match.first(add, match.plainAction({ type: 'INCREMENT' }).with((state: number) => state + 1))
+
+// @ts-expect-error the arguments must be Matchers
+match.first((state: string[]) => state)
+
+// @ts-expect-error match.first() needs at least one Matcher
+match.first()
+
+// match.withDefault() carries the state type and accepts an undefined state
+const todosWithDefault = match.withDefault([])(todos)
+expectType<match.DefaultMatcher<string[]>>(todosWithDefault)
+expectType<string[]>(todosWithDefault(undefined, { type: '@@INIT' }))
+expectType<match.DefaultMatcher<string[]>>(todosWithDefault.with(state => state))
+
+// @ts-expect-error the default value must be a state
+match.withDefault(0)(todos)
+
+// match.always() infers the state from the reducer
+expectType<match.Matcher<number, [number]>>(match.always((state: number, amount: number) => state + amount))
+
+// @ts-expect-error the reducer must be a function
+match.always({})
+
+// match.shape() and match.object() narrow with type guards and literals
+const isString = (value: any): value is string => typeof value === 'string'
+const shape = match.shape({ name: isString })
+declare const value: unknown
+if (shape(value)) {
+  expectType<string>(value.name)
+}
+const object = match.object({ type: 'ADD' })
+if (object(value)) {
+  expectExact<typeof value.type, 'ADD'>(true)
+}
+expectType<(value: number) => boolean>(match.shape((value: number) => value > 0))
+
+// match.actionCondition() and match.plainActionCondition() test the second argument
+const isAdd = match.plainActionCondition({ type: 'ADD' })
+expectType<boolean>(isAdd(undefined, { type: 'ADD' }))
+expectType<boolean>(match.actionCondition({ type: isString })([], { type: 'anything' }))
+
+// @ts-expect-error conditions must be objects or functions
+match.actionCondition('ADD')
+
+// match.redux() narrows the action type with type guards and combines reducers
+const isIncrement = (type: any): type is 'INCREMENT' => type === 'INCREMENT'
+const counter = match.redux({ type: isIncrement }).with(
+  match((state: number, action: match.Action) => action.amount > 0).with(state => state + 1),
+  (state: number, action) => {
+    expectExact<typeof action.type, 'INCREMENT'>(true)
+    return state
+  }
+)
+expectType<match.ReduxMatcher<number, match.Shaped<{ type: typeof isIncrement }>>>(counter)
+expectType<number>(counter(1, { type: 'INCREMENT' }))
+expectType<match.ReduxMatcher<number, match.Shaped<{ type: typeof isIncrement }>>>(counter.with(state => state))
+
+// @ts-expect-error the reducers must return the state
+match.redux({ type: isIncrement }).with((state: number) => 'string')
+
+// @ts-expect-error the action must pass the type guards
+counter(1, { type: 'DECREMENT' })
+
+// match.slice() types its action creators
+const slice = match.slice({
+  name: 'counter',
+  initialState: 0,
+  handlers: {
+    increment: (state: number, action: { payload: number }) => state + action.payload,
+    reset: () => 0,
+  },
+})
+expectType<{ type: 'counter/increment', payload: number }>(slice.actions.increment(1))
+expectType<'counter/reset'>(slice.types.reset)
+expectType<number>(slice.reducer(undefined, slice.actions.reset()))
+
+// @ts-expect-error the payload must match the handler
+slice.actions.increment('one')
+
+// Errors can be checked with instanceof
+declare const error: unknown
+if (error instanceof match.MatcherTypeError) {
+  expectType<string | undefined>(error.api)
+  expectType<number | undefined>(error.index)
+}
+
+// The named exports have the same types as match's properties
+expectType<match.DefaultMatcher<string[]>>(withDefault([])(first(add, remove)))
+
+// match.history() wraps the state of a Matcher
+const undoable = match.history(todosWithDefault, { limit: 10, groupBy: action => action.type })
+expectType<match.History<string[]>>(undoable(undefined, { type: '@@INIT' }))
+expectType<string[]>(undoable(undefined, { type: match.history.types.undoType }).present)
+
+// @ts-expect-error the limit must be a number
+match.history(todos, { limit: '10' })
+
+// match.namespaced() keeps the type of the Matcher and its action creators
+expectType<match.DefaultMatcher<string[]>>(match.namespaced('list', todosWithDefault))
+expectType<typeof slice.actions.increment>(match.namespaced.actionCreator('list', slice.actions.increment))
+
+// @ts-expect-error the second argument must be a Matcher
+match.namespaced('list', 'todos')
+
+// match.combine() combines the states of its Matchers
+const root = match.combine({ todos: todosWithDefault, count: match.withDefault(0)(match.always((state: number) => state + 1)) })
+expectType<{ todos: string[], count: number }>(root(undefined, { type: '@@INIT' }))
+
+// @ts-expect-error the properties must be Matchers or reducers
+match.combine({ todos: 'todos' })
+
+// match.contextCondition() tests the context of match.combine()
+const filtered = match(match.contextCondition((context: match.Context<{ filter: string }>) => context.root.filter === 'all'))
+expectType<match.Matcher<any, [action: any, context?: any, ...rest: any[]]>>(filtered)
+
+// match.plainAction() and match.redux() accept patterns for the type
+match.plainAction({ type: [ 'ADD', 'REMOVE' ] }).with((state: string[], action) => {
+  expectExact<typeof action.type, 'ADD' | 'REMOVE'>(true)
+  return state
+})
+match.plainAction({ type: 'todos/*' }).with((state: string[], action) => {
+  expectExact<typeof action.type, string>(true)
+  return state
+})
+match.redux({ type: /^todos\//, id: (id: any): id is number => typeof id === 'number' }).with((state: string[], action) => {
+  expectExact<typeof action.type, string>(true)
+  expectType<number>(action.id)
+  return state
+})
+
+// @ts-expect-error only the type can be a pattern
+match.redux({ id: 'todos/*' })
+
+// match.any(), match.every() and match.not() combine conditions
+expectType<(state: number, amount: number) => boolean>(match.any((state: number, amount: number) => amount > 0, { length: 1 }))
+match(match.not((state: number, action: match.Action) => action.type === 'ADD')).with(state => state + 1)
+
+// reducer-redux/testing checks Matchers with generated samples
+const actions = gen.oneOf(gen.action('ADD', gen.string()), gen.action('CLEAR'))
+expectType<number>(checkMatcher(todosWithDefault, {
+  states: gen.arrayOf(gen.string()),
+  actions,
+  initialState: [],
+  properties: [ 'purity', 'noCopies' ],
+}))
+expectType<match.Action>(gen.record({ type: 'ADD', id: gen.integer() }).generate(Math.random).value)
+
+// @ts-expect-error the states must be samples of the Matcher's state
+checkMatcher(todosWithDefault, { states: gen.integer(), actions })
+
+// match.fromSpec() builds Matchers from JSON specs
+const fromSpec = match.fromSpec<{ count: number }>({
+  default: { count: 0 },
+  cases: [ { when: { type: 'INCREMENT' }, do: { op: 'double', path: [ 'count' ] } } ]
+}, { operations: { double: () => (state: number) => state * 2 } })
+expectType<{ count: number }>(fromSpec(undefined, { type: 'INCREMENT' }))
+expectType<match.Spec>(match.toSpec(fromSpec))
+
+// @ts-expect-error specs only contain JSON
+match.fromSpec({ cases: [ { when: { type: 'SET' }, do: { op: 'set', value: () => 1 } } ] })
+
+// match.machine() creates state machines
+const request = match.machine({
+  initial: 'idle',
+  context: { retries: 0 },
+  states: {
+    idle: { on: { FETCH: 'loading' } },
+    loading: { on: { FAILURE: { target: 'idle', guard: { retries: (retries: number) => retries < 3 }, with: context => ({ retries: context.retries + 1 }) } } }
+  },
+  onInvalid: 'throw'
+})
+expectType<'idle' | 'loading'>(request(undefined, { type: 'FETCH' }).value)
+expectType<number>(request.with({ onInvalid: 'ignore' })(undefined, { type: 'FETCH' }).context.retries)
+
+// @ts-expect-error the targets must be states
+match.machine({ initial: 'idle', states: { idle: { on: { FETCH: 'fetching' } } } })
+
+// match.memo() returns a Matcher of the same type, with statistics
+const memoTodos = match.memo(todosWithDefault, { size: 10, equals: (action, cached) => action.type === cached.type })
+expectType<string[]>(memoTodos(undefined, { type: 'ADD' }))
+expectType<number>(match.memo.stats(memoTodos).reducer.hits)
+
+// match.replay() returns the steps of some actions
+const replayed = match.replay(todosWithDefault, [ { type: 'ADD' }, { type: 'CLEAR' } ], { checkpointInterval: 10 })
+for (const step of replayed) {
+  expectType<string[]>(step.state)
+  expectType<number[] | undefined>(step.handledBy && step.handledBy.path)
+}
+expectType<string[]>(replayed.stateAt(0))
+expectType<number | undefined>(replayed.bisect(todos => todos.length < 10)?.index)
+
+// match.isMatcher() narrows a value to a Matcher
+const maybeMatcher: unknown = todosWithDefault
+if (match.isMatcher(maybeMatcher)) {
+  match.inspect(maybeMatcher)
+}
+
+// match.replace() returns a copy of the Matcher
+expectType<typeof todosWithDefault>(match.replace(todosWithDefault, [ 0, 1 ], (state: string[]) => state))
+
+// reducer-redux/redux creates stores whose reducer is a Matcher
+const store = createMatcherStore(todosWithDefault, [ applyMiddleware() ], {
+  preloadedState: [ 'Write types' ],
+  onUnhandled: (action, state) => expectType<string[]>(state),
+  devTools: { name: 'todos' }
+})
+expectType<string[]>(store.getState())
+store.dispatch({ type: 'ADD', payload: 'Dispatch' })
+store.replaceMatcher([ 0, 0 ], match.always((state: string[]) => state))
+expectType<string | undefined>(actionSanitizer({ type: 'ADD' }).handledBy)
+createStore(todosWithDefault, matcherEnhancer())
+
+// @ts-expect-error the preloaded state must be the Matcher's state
+createMatcherStore(todosWithDefault, [], { preloadedState: 1 })
@@ -0,0 +1,70 @@
+// Type definitions for reducer-redux/testing
+
+// Creates random samples that can be shrunk to smaller ones.
+export interface Generator<T> {
+  generate(random: () => number): SampleTree<T>
+}
+
+// A sample and the trees of its smaller versions
+export interface SampleTree<T> {
+  value: T
+  shrinks(): Array<SampleTree<T>>
+}
+
+// The properties that checkMatcher can check
+export type Property = 'purity' | 'determinism' | 'identity' | 'default' | 'noCopies'
+
+// Samples are generated by a generator, or picked from an array of values
+export type Samples<T> = Generator<T> | ReadonlyArray<T>
+
+export interface CheckOptions<S, A> {
+  states: Samples<S>
+  actions: Samples<A>
+  unrelatedActions?: Samples<A>
+  initialState?: S
+  properties?: Property[]
+  runs?: number
+  seed?: number
+}
+
+// A sample that fails a property
+export interface Sample<S, A> {
+  state: S
+  action: A
+  unrelatedAction: A
+}
+
+// Thrown by checkMatcher for the smallest sample it finds that fails a property
+export class CounterexampleError extends Error {
+  property: Property
+  failure: string
+  sample: Sample<any, any>
+  seed: number
+  runs: number
+  shrinks: number
+}
+
+// Checks that a Matcher (or any reducer) has the properties of redux reducers. Returns the number
+// of samples checked, or throws a CounterexampleError.
+export function checkMatcher<S, A>(
+  matcher: (state: S | undefined, action: A, ...rest: any[]) => S,
+  options: CheckOptions<S, A>
+): number
+
+// Freezes an object and everything it contains
+export function deepFreeze<T>(value: T): T
+
+type Generated<T> = T extends Generator<infer U> ? U : T
+
+export const gen: {
+  constant<const T>(value: T): Generator<T>
+  elements<const T>(values: readonly T[]): Generator<T>
+  integer(options?: { min?: number, max?: number }): Generator<number>
+  boolean(): Generator<boolean>
+  oneOf<G extends Array<Generator<any>>>(...generators: G): Generator<Generated<G[number]>>
+  arrayOf<T>(generator: Generator<T>, options?: { maxLength?: number }): Generator<T[]>
+  string(options?: { maxLength?: number }): Generator<string>
+  record<const R extends { [key: string]: any }>(spec: R): Generator<{ [K in keyof R]: Generated<R[K]> }>
+  action<const T, P = undefined>(type: T, payload?: Generator<P>): Generator<{ type: T, payload: P }>
+  map<T, U>(f: (value: T) => U, generator: Generator<T>): Generator<U>
+}
@@ -27,8 +27,28 @@ const dist = R.partial(path.join, [ PATH_DIST ])
 // These options can be changed without modifying the
 // basic publishing process.
 
-// Source file that the bundle is generated from.
-const ENTRY_POINT = path.join(PATH_REPO_ROOT, 'src', 'reducer.js')
+// Source file that the bundles are generated from.
+const ENTRY_POINT = path.join(PATH_REPO_ROOT, 'src', 'index.js')
+
+// Source file of the reducer-redux/testing entry point, and its type definitions.
+const TESTING_ENTRY_POINT = path.join(PATH_REPO_ROOT, 'src', 'testing.js')
+const TESTING_TYPES = 'testing.d.ts'
+
+// Source file of the reducer-redux/redux entry point, and its type definitions.
+const REDUX_ENTRY_POINT = path.join(PATH_REPO_ROOT, 'src', 'redux.js')
+const REDUX_TYPES = 'redux.d.ts'
+
+// The library's modules that the testing and redux entry points import from the main bundle, by
+// file, so their Matchers and errors are the ones the rest of the library recognizes. match has
+// the errors.js classes as properties.
+const LIBRARY_MODULES = {
+  [path.join(PATH_REPO_ROOT, 'src', 'index.js')]: 'reducer-redux',
+  [path.join(PATH_REPO_ROOT, 'src', 'reducer.js')]: 'reducer-redux',
+  [path.join(PATH_REPO_ROOT, 'src', 'errors.js')]: 'reducer-redux'
+}
+
+// Name of the global variable set by the UMD bundle.
+const UMD_NAME = 'reducerRedux'
 
 // END CONFIG ===========================================
 
@@ -112,8 +132,61 @@ all(
   must(() => fs.mkdirSync(dist()))
 )
 
-log(`Writing bundle for ${chalk.black(packageJson.main)}...`)
-createBundle(ENTRY_POINT, dist(packageJson.main))
+// The bundles to write, with the entry point and the file name from package.json.
+// The ES module bundles have a named export for each of the entry point's exports, alongside the
+// default.
+const testingExports = packageJson.exports['./testing']
+const reduxExports = packageJson.exports['./redux']
+const bundles = [
+  { entry: ENTRY_POINT, file: packageJson.main, format: 'cjs' },
+  {
+    entry: ENTRY_POINT,
+    file: packageJson.module,
+    format: 'es',
+    namedExports: R.keys(require(ENTRY_POINT))
+  },
+  { entry: ENTRY_POINT, file: packageJson.unpkg, format: 'umd', moduleName: UMD_NAME },
+  {
+    entry: TESTING_ENTRY_POINT,
+    file: testingExports.require,
+    format: 'cjs',
+    external: R.keys(LIBRARY_MODULES),
+    paths: LIBRARY_MODULES
+  },
+  {
+    entry: TESTING_ENTRY_POINT,
+    file: testingExports.import,
+    format: 'es',
+    external: R.keys(LIBRARY_MODULES),
+    paths: LIBRARY_MODULES,
+    namedExports: R.keys(require(TESTING_ENTRY_POINT))
+  },
+  {
+    entry: REDUX_ENTRY_POINT,
+    file: reduxExports.require,
+    format: 'cjs',
+    external: [ 'redux', ...R.keys(LIBRARY_MODULES) ],
+    paths: LIBRARY_MODULES
+  },
+  {
+    entry: REDUX_ENTRY_POINT,
+    file: reduxExports.import,
+    format: 'es',
+    external: [ 'redux', ...R.keys(LIBRARY_MODULES) ],
+    paths: LIBRARY_MODULES,
+    namedExports: R.keys(require(REDUX_ENTRY_POINT)),
+    namespaceImports: [ 'redux' ]
+  }
+]
+
+R.reduce(
+  (previous, options) => previous.then(() => {
+    log(`Writing ${options.format} bundle for ${chalk.black(options.file)}...`)
+    return createBundle(options.entry, dist(options.file), options)
+  }),
+  Promise.resolve(),
+  bundles
+)
   .then(() => {
     log(`Preparing ${chalk.black('package.json')}...`)
     R.pipe(
@@ -125,6 +198,11 @@ createBundle(ENTRY_POINT, dist(packageJson.main))
     log(`Copying README.md...`)
     must(copy)(path.join(PATH_REPO_ROOT, 'README.md'), dist('README.md'))
 
+    log(`Copying ${chalk.black(packageJson.types)}, ${chalk.black(TESTING_TYPES)} and ${chalk.black(REDUX_TYPES)}...`)
+    must(copy)(path.join(PATH_REPO_ROOT, packageJson.types), dist(packageJson.types))
+    must(copy)(path.join(PATH_REPO_ROOT, TESTING_TYPES), dist(TESTING_TYPES))
+    must(copy)(path.join(PATH_REPO_ROOT, REDUX_TYPES), dist(REDUX_TYPES))
+
     log(`Publishing to npm...`)
     isDryRun && log.warn('Dry run: skipped publish...')
     R.ifElse(Boolean)
@@ -137,20 +215,39 @@ createBundle(ENTRY_POINT, dist(packageJson.main))
 
   .catch(err => die(`Failed to write bundle: ${err.message}`))
 
-function createBundle (target, destination) {
+// node-resolve is only used by bundles without external dependencies: it resolves every require()
+// before rollup checks the external list, which would bundle them anyway.
+// The commonjs plugin imports the default export of external dependencies, which ES module builds
+// of dependencies like redux don't have. Imports their namespace instead.
+const importNamespaces = dependencies => ({
+  name: 'import-namespaces',
+  transformBundle: code => R.reduce(
+    (transformed, dependency) => transformed.replace(
+      new RegExp(`^import (\\w+) from '${dependency}';$`, 'm'),
+      `import * as $1 from '${dependency}';`
+    ),
+    code,
+    dependencies
+  )
+})
+
+function createBundle (target, destination, { format, external = [], paths = {}, namedExports = [], namespaceImports = [], moduleName }) {
   return rollup.rollup({
     entry: target,
-    plugins: [
-      nodeResolve({
-        jsnext: true,
-      }),
+    external,
+    paths,
+    plugins: R.reject(R.isNil, [
+      R.isEmpty(external) ? nodeResolve({ jsnext: true }) : null,
       commonjs({
         sourcemap: false,
+        namedExports: { [target]: namedExports },
       }),
-    ]
+      R.isEmpty(namespaceImports) ? null : importNamespaces(namespaceImports),
+    ])
   }).then(bundle => {
     return bundle.write({
-      format: 'cjs',
+      format,
+      moduleName,
       dest: destination,
     })
   })